@@ -1,8 +1,11 @@
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Options;
 using OpenTelemetry.Metrics;
 using CacheImplementations;
+using System.Collections.Concurrent;
 using System.ComponentModel.DataAnnotations;
+using System.Diagnostics.Metrics;
 
 namespace AspNetCore;
 
@@ -79,6 +82,7 @@ private static void ConfigureCaches(IServiceCollection services)
                 options.AdditionalTags["cache_type"] = "user_profiles";
                 options.AdditionalTags["environment"] = "development";
             });
+        LimitCacheSize(services, "user-profiles", sizeLimit: 1000);
 
         // Product catalog cache - less frequent updates, larger size
         services.AddNamedMeteredMemoryCache("product-catalog",
@@ -87,6 +91,7 @@ private static void ConfigureCaches(IServiceCollection services)
                 options.AdditionalTags["cache_type"] = "product_catalog";
                 options.AdditionalTags["environment"] = "development";
             });
+        LimitCacheSize(services, "product-catalog", sizeLimit: 2000);
 
         // Session data cache - small, frequent evictions
         services.AddNamedMeteredMemoryCache("session-data",
@@ -105,6 +110,20 @@ private static void ConfigureCaches(IServiceCollection services)
             });
     }
 
+    // AddNamedMeteredMemoryCache creates its MemoryCache without a SizeLimit, so the
+    // keyed cache is registered again over a size-limited one; the last registration
+    // wins. The services set a Size on every entry, which a SizeLimit requires.
+    private static void LimitCacheSize(IServiceCollection services, string cacheName, long sizeLimit)
+    {
+        services.AddKeyedSingleton<IMemoryCache>(cacheName, (sp, key) =>
+        {
+            var innerCache = new MemoryCache(new MemoryCacheOptions { SizeLimit = sizeLimit });
+            var meterFactory = sp.GetService<IMeterFactory>();
+            var options = sp.GetRequiredService<IOptionsMonitor<MeteredMemoryCacheOptions>>().Get((string)key!);
+            return new MeteredMemoryCache(innerCache, meterFactory, options);
+        });
+    }
+
     private static void ConfigurePipeline(WebApplication app)
     {
         // Configure the HTTP request pipeline
@@ -544,6 +563,10 @@ public interface IExternalApiService
 
 public class ExternalApiService : IExternalApiService
 {
+    // Simulated backing store for user updates. Static because the typed HttpClient
+    // registration creates a new service instance per scope.
+    private static readonly ConcurrentDictionary<int, UpdateUserDto> UserUpdates = new();
+
     private readonly HttpClient _httpClient;
     private readonly IMemoryCache _cache;
     private readonly ILogger<ExternalApiService> _logger;
@@ -563,13 +586,7 @@ public class ExternalApiService : IExternalApiService
         // Simulate API call delay
         await Task.Delay(Random.Shared.Next(100, 300));
 
-        return new UserDto
-        {
-            Id = id,
-            Name = $"User {id}",
-            Email = $"user{id}@example.com",
-            CreatedAt = DateTime.UtcNow.AddDays(-Random.Shared.Next(1, 365))
-        };
+        return CreateUser(id);
     }
 
     public async Task<IEnumerable<UserDto>> GetUsersAsync(int[] ids)
@@ -577,22 +594,30 @@ public async Task<IEnumerable<UserDto>> GetUsersAsync(int[] ids)
         // Simulate batch API call
         await Task.Delay(Random.Shared.Next(200, 500));
 
-        return ids.Select(id => new UserDto
-        {
-            Id = id,
-            Name = $"User {id}",
-            Email = $"user{id}@example.com",
-            CreatedAt = DateTime.UtcNow.AddDays(-Random.Shared.Next(1, 365))
-        });
+        return ids.Select(CreateUser);
     }
 
     public async Task<bool> UpdateUserAsync(int id, UpdateUserDto updateDto)
     {
         // Simulate API update call
         await Task.Delay(Random.Shared.Next(150, 400));
+        UserUpdates[id] = updateDto;
         return true; // Assume success
     }
 
+    private static UserDto CreateUser(int id)
+    {
+        UserUpdates.TryGetValue(id, out var update);
+
+        return new UserDto
+        {
+            Id = id,
+            Name = update?.Name ?? $"User {id}",
+            Email = update?.Email ?? $"user{id}@example.com",
+            CreatedAt = DateTime.UtcNow.AddDays(-Random.Shared.Next(1, 365))
+        };
+    }
+
     public async Task<ProductDto?> GetProductAsync(int id)
     {
         await Task.Delay(Random.Shared.Next(100, 300));
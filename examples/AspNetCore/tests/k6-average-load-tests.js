@@ -25,18 +25,38 @@ import {
   getRandomCategoryId,
   getRandomSearchQuery,
   getRandomCacheName,
+  describeKeyDistribution,
+  endpointThresholds,
+  calibrateCacheClassifier,
+  createRunSeed,
+  startIteration,
+  random,
 } from "./k6-config.js";
+import {
+  serverMetricsScenario,
+  serverHitRatioThresholds,
+  snapshotCacheRequests,
+  recordServerCacheMetrics,
+  logServerCacheMetrics,
+} from "./k6-server-metrics.js";
+import { createSummaryHandler, summaryTrendStats } from "./k6-reporting.js";
+
+export { sampleServerMetrics } from "./k6-server-metrics.js";
 
 export let options = {
   scenarios: {
     averageLoad: scenarios.averageLoad,
+    serverMetrics: serverMetricsScenario("5m"),
   },
+  summaryTrendStats,
   thresholds: {
     ...thresholds,
     // Standard thresholds for average load
     http_req_duration: ["p(95)<1000"],
     response_time: ["p(95)<500"],
     error_rate: ["rate<0.05"],
+    ...serverHitRatioThresholds(0.8),
+    ...endpointThresholds(1), // Per-endpoint p(95) budgets
   },
 };
 
@@ -45,6 +65,7 @@ export function setup() {
     "🚀 Starting k6 Average Load Tests for ASP.NET Core MeteredMemoryCache",
   );
   console.log(`📍 Base URL: ${config.baseUrl}`);
+  console.log(`🎯 Key distribution: ${describeKeyDistribution()}`);
   console.log("👥 Simulating 10 concurrent users for 5 minutes");
 
   // Verify application is running
@@ -55,19 +76,28 @@ export function setup() {
     );
   }
 
+  const latencyModel = calibrateCacheClassifier();
+
   console.log("✅ Application is healthy and ready for average load testing");
-  return { startTime: new Date().toISOString() };
+  return {
+    randomSeed: createRunSeed(),
+    latencyModel,
+    startTime: new Date().toISOString(),
+    serverMetricsBaseline: snapshotCacheRequests(),
+  };
 }
 
 export default function (data) {
+  startIteration(data);
+
   // Simulate realistic user behavior patterns
 
   // 70% of requests are reads (GET operations)
-  const readOperations = Math.random() < 0.7;
+  const readOperations = random() < 0.7;
 
   if (readOperations) {
     // Simulate different read patterns
-    const readPattern = Math.random();
+    const readPattern = random();
 
     if (readPattern < 0.4) {
       // 40% - Single user lookup (most common)
@@ -107,7 +137,7 @@ export default function (data) {
     }
   } else {
     // 30% of requests are writes or batch operations
-    const writePattern = Math.random();
+    const writePattern = random();
 
     if (writePattern < 0.5) {
       // 15% - Batch user lookup
@@ -136,7 +166,7 @@ export default function (data) {
       });
     } else {
       // 10% - Cache operations
-      const cacheOperation = Math.random();
+      const cacheOperation = random();
 
       if (cacheOperation < 0.5) {
         // 5% - Cache statistics check
@@ -161,23 +191,22 @@ export default function (data) {
 
   // Simulate realistic user think time
   // Users typically wait 1-3 seconds between actions
-  sleep(Math.random() * 2 + 1);
+  sleep(random() * 2 + 1);
 
   // Occasionally test cache behavior (10% of iterations)
-  if (Math.random() < 0.1) {
+  if (random() < 0.1) {
     const userId = getRandomUserId();
     const cacheTestResult = testCacheHit(userId);
     check(cacheTestResult, {
       "cache hit test successful": (r) =>
         r.miss.status === 200 && r.hit.status === 200,
-      "cache hit is faster than miss": (r) => r.cacheHitFaster,
     });
 
     sleep(0.5);
   }
 
   // Occasionally test cache invalidation (5% of iterations)
-  if (Math.random() < 0.05) {
+  if (random() < 0.05) {
     const userId = getRandomUserId();
     const invalidationResult = testCacheInvalidation(userId);
     check(invalidationResult, {
@@ -191,8 +220,8 @@ export default function (data) {
   }
 
   // Occasionally check metrics (5% of iterations)
-  if (Math.random() < 0.05) {
-    const metricsResponse = getMetrics();
+  if (random() < 0.05) {
+    const { response: metricsResponse } = getMetrics();
     check(metricsResponse, {
       "metrics check successful": (r) => r.status === 200,
       "metrics response time acceptable": (r) => r.timings.duration < 500,
@@ -212,9 +241,14 @@ export function teardown(data) {
     console.log("❌ Application health check failed after average load tests");
   }
 
+  // Server-side hit ratio reported by MeteredMemoryCache since setup
+  logServerCacheMetrics(recordServerCacheMetrics(data.serverMetricsBaseline));
+
   // Final cache statistics
   const finalCacheStats = getCacheStats();
   if (finalCacheStats.status === 200) {
     console.log("📊 Final cache statistics retrieved successfully");
   }
 }
+
+export const handleSummary = createSummaryHandler("average-load");
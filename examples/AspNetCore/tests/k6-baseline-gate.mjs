@@ -0,0 +1,494 @@
+// k6 Baseline Gate for ASP.NET Core MeteredMemoryCache Example
+// Records k6 summary JSON (from k6-reporting.js) as per-platform baseline files and
+// gates new runs against them, mirroring tools/BenchGate for BenchmarkDotNet results
+// Run with: node k6-baseline-gate.mjs <record|compare> ... (see usage below)
+
+import fs from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+const usage = `Usage:
+  node k6-baseline-gate.mjs record <summary.json>... --out=<baseline.json|baselineDir> [--test=<name>]
+  node k6-baseline-gate.mjs compare <baseline.json|baselineDir> <summary.json>... [--test=<name>]
+      [--latency-threshold=0.10] [--latency-min-delta-ms=1] [--error-rate-threshold=0.005]
+      [--hit-ratio-threshold=0.02] [--sigma-mult=2.0] [--no-sigma]
+
+Pass several summaries of the same test to capture run-to-run variance; with more than
+three runs on both sides latency and hit ratio are compared with a Mann-Whitney U test.
+If a directory is supplied for the baseline, per-platform resolution is attempted:
+<test>.<os>.<arch>.json -> <test>.<os>.json -> <test>.json
+If no baseline file is found the gate is SKIPPED (exit 0) so initial baselines can be captured.`;
+
+export const defaultGateOptions = {
+  latencyThreshold: 0.1, // 10%, k6 runs are noisier than BenchmarkDotNet
+  latencyMinDeltaMs: 1, // ignore sub-millisecond shifts
+  errorRateThreshold: 0.005, // 0.5 percentage points
+  hitRatioThreshold: 0.02, // 2 percentage points
+  sigmaMult: 2.0, // ~95% confidence heuristic
+  useSigma: true,
+};
+
+const latencyStats = { p50: "med", p95: "p(95)", p99: "p(99)" };
+
+// Pulls the gated values out of one k6-reporting.js JSON summary
+export function extractRun(summary) {
+  const metrics = summary.metrics || {};
+  const run = { latency: {}, requests: 0, errorRate: 0, hitRatio: {} };
+
+  const duration = metrics.http_req_duration;
+  if (duration) {
+    Object.keys(latencyStats).forEach((key) => {
+      const value = duration.values[latencyStats[key]];
+      if (value !== undefined) {
+        run.latency[key] = value;
+      }
+    });
+  }
+
+  if (metrics.http_reqs) {
+    run.requests = metrics.http_reqs.values.count;
+  }
+  if (metrics.http_req_failed) {
+    run.errorRate = metrics.http_req_failed.values.rate;
+  }
+
+  Object.keys(metrics).forEach((name) => {
+    const match = name.match(/^server_cache_hit_ratio\{cache_name:([^}]+)\}$/);
+    if (match) {
+      run.hitRatio[match[1]] = metrics[name].values.value;
+    }
+  });
+
+  return run;
+}
+
+// Folds runs into the baseline layout: every gated value keeps one sample per run
+export function buildBaseline(testName, runs, platform) {
+  const baseline = {
+    test: testName,
+    platform,
+    createdAt: new Date().toISOString(),
+    runs: runs.length,
+    latency: {},
+    errors: { requests: [], rates: [] },
+    hitRatio: {},
+  };
+
+  runs.forEach((run) => {
+    Object.keys(run.latency).forEach((key) => {
+      (baseline.latency[key] = baseline.latency[key] || []).push(
+        run.latency[key],
+      );
+    });
+    baseline.errors.requests.push(run.requests);
+    baseline.errors.rates.push(run.errorRate);
+    Object.keys(run.hitRatio).forEach((cache) => {
+      (baseline.hitRatio[cache] = baseline.hitRatio[cache] || []).push(
+        run.hitRatio[cache],
+      );
+    });
+  });
+
+  return baseline;
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function stdDev(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(
+    values.reduce((a, v) => a + (v - m) * (v - m), 0) / (values.length - 1),
+  );
+}
+
+export function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+  return n % 2 === 1
+    ? sorted[(n - 1) / 2]
+    : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+}
+
+// Complementary error function (Hastings, as in Numerical Recipes), same as BenchGate
+function erfc(x) {
+  const ax = Math.abs(x);
+  const t = 1 / (1 + 0.5 * ax);
+  const poly =
+    1.00002368 +
+    t *
+      (0.37409196 +
+        t *
+          (0.09678418 +
+            t *
+              (-0.18628806 +
+                t *
+                  (0.27886807 +
+                    t *
+                      (-1.13520398 +
+                        t *
+                          (1.48851587 +
+                            t * (-0.82215223 + t * 0.17087277)))))));
+  const tau = t * Math.exp(-ax * ax - 1.26551223 + t * poly);
+  return x >= 0 ? tau : 2 - tau;
+}
+
+// Two-sided Mann-Whitney U test with mid-rank ties and normal approximation,
+// a port of BenchGate.Statistics.MannWhitney
+export function mannWhitney(x, y) {
+  if (x.length === 0 || y.length === 0) {
+    throw new Error("Samples must be non-empty.");
+  }
+
+  const n1 = x.length;
+  const n2 = y.length;
+  const n = n1 + n2;
+  const combined = [
+    ...x.map((v) => ({ v, g: 0 })),
+    ...y.map((v) => ({ v, g: 1 })),
+  ].sort((a, b) => a.v - b.v);
+
+  let r1 = 0;
+  let tieSum = 0;
+  let i = 0;
+  while (i < n) {
+    let j = i + 1;
+    while (j < n && combined[j].v === combined[i].v) j++;
+    const rankAvg = 0.5 * (i + 1 + j);
+    const tieLen = j - i;
+    if (tieLen > 1) {
+      tieSum += tieLen * tieLen * tieLen - tieLen;
+    }
+    for (let k = i; k < j; k++) {
+      if (combined[k].g === 0) r1 += rankAvg;
+    }
+    i = j;
+  }
+
+  const u1 = r1 - (n1 * (n1 + 1)) / 2;
+  const u2 = n1 * n2 - u1;
+  const u = Math.min(u1, u2);
+  const mu = (n1 * n2) / 2;
+  const tieCorr = n > 1 ? tieSum / (12 * n * (n - 1)) : 0;
+  const sigma2 = (n1 * n2 * (n + 1)) / 12 - n1 * n2 * tieCorr;
+  if (sigma2 <= 0) {
+    return { u1, u2, u, z: 0, pValue: u1 === mu && u2 === mu ? 1 : 0 };
+  }
+
+  const z = (Math.abs(u - mu) - 0.5) / Math.sqrt(sigma2);
+  const pValue = Math.min(1, Math.max(0, erfc(Math.abs(z) / Math.SQRT2)));
+  return { u1, u2, u, z, pValue };
+}
+
+// Upper-tail p-value that the current failure proportion exceeds the baseline one
+export function twoProportionPValue(
+  baseFailures,
+  baseTotal,
+  curFailures,
+  curTotal,
+) {
+  if (baseTotal <= 0 || curTotal <= 0) return 1;
+  const pooled = (baseFailures + curFailures) / (baseTotal + curTotal);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / baseTotal + 1 / curTotal));
+  if (se <= 0) {
+    return curFailures / curTotal > baseFailures / baseTotal ? 0 : 1;
+  }
+  const z = (curFailures / curTotal - baseFailures / baseTotal) / se;
+  return 0.5 * erfc(z / Math.SQRT2);
+}
+
+// Shift of `current` against `baseline` samples; positive delta is an increase.
+// Mann-Whitney when both sides have more than three runs, else the BenchGate
+// sigma fallback on the standard error of the run means
+function compareSamples(baseline, current, options) {
+  if (baseline.length > 3 && current.length > 3) {
+    const { pValue } = mannWhitney(baseline, current);
+    const base = median(baseline);
+    const cur = median(current);
+    return {
+      base,
+      cur,
+      delta: cur - base,
+      significant: pValue < 0.05,
+      detail: `[MWU p=${pValue.toFixed(4)}, median of ${baseline.length} vs ${current.length} runs]`,
+    };
+  }
+
+  const base = mean(baseline);
+  const cur = mean(current);
+  const delta = cur - base;
+  let significant = true;
+  if (options.useSigma) {
+    const seBase = stdDev(baseline) / Math.sqrt(baseline.length);
+    const seCur = stdDev(current) / Math.sqrt(current.length);
+    const combinedSe = Math.sqrt(seBase * seBase + seCur * seCur);
+    // Can't evaluate without variance; treat as significant to avoid masking a regression
+    significant =
+      combinedSe <= 0 || Math.abs(delta) > options.sigmaMult * combinedSe;
+  }
+  return {
+    base,
+    cur,
+    delta,
+    significant,
+    detail: `[mean of ${baseline.length} vs ${current.length} runs]`,
+  };
+}
+
+// Compares a baseline with the runs of a new execution of the same test
+export function compareToBaseline(baseline, currentRuns, gateOptions = {}) {
+  const options = { ...defaultGateOptions, ...gateOptions };
+  const current = buildBaseline(baseline.test, currentRuns, baseline.platform);
+  const regressions = [];
+  const improvements = [];
+
+  Object.keys(latencyStats).forEach((key) => {
+    const base = baseline.latency[key];
+    const cur = current.latency[key];
+    if (!base || !cur || base.length === 0 || cur.length === 0) return; // new -> ignore
+
+    const r = compareSamples(base, cur, options);
+    const pct = r.base > 0 ? r.delta / r.base : 0;
+    const line = `http_req_duration ${key}: ${r.base.toFixed(2)}ms -> ${r.cur.toFixed(2)}ms (${(pct * 100).toFixed(2)}%) ${r.detail}`;
+
+    if (
+      r.significant &&
+      pct > options.latencyThreshold &&
+      r.delta > options.latencyMinDeltaMs
+    ) {
+      regressions.push(line);
+    } else if (r.significant && r.delta < 0) {
+      improvements.push(line);
+    }
+  });
+
+  const failures = (errors) =>
+    errors.rates.reduce((a, rate, i) => a + rate * errors.requests[i], 0);
+  const total = (errors) => errors.requests.reduce((a, b) => a + b, 0);
+  const baseTotal = total(baseline.errors);
+  const curTotal = total(current.errors);
+  if (baseTotal > 0 && curTotal > 0) {
+    const baseFailures = failures(baseline.errors);
+    const curFailures = failures(current.errors);
+    const baseRate = baseFailures / baseTotal;
+    const curRate = curFailures / curTotal;
+    const pValue = twoProportionPValue(
+      baseFailures,
+      baseTotal,
+      curFailures,
+      curTotal,
+    );
+    const line = `http_req_failed: ${(baseRate * 100).toFixed(3)}% -> ${(curRate * 100).toFixed(3)}% of ${curTotal} requests [two-proportion p=${pValue.toFixed(4)}]`;
+
+    if (pValue < 0.05 && curRate - baseRate > options.errorRateThreshold) {
+      regressions.push(line);
+    } else if (curRate < baseRate) {
+      improvements.push(line);
+    }
+  }
+
+  Object.keys(baseline.hitRatio).forEach((cache) => {
+    const base = baseline.hitRatio[cache];
+    const cur = current.hitRatio[cache];
+    if (!cur || cur.length === 0) return;
+
+    const r = compareSamples(base, cur, options);
+    const line = `server_cache_hit_ratio{cache_name:${cache}}: ${r.base.toFixed(3)} -> ${r.cur.toFixed(3)} ${r.detail}`;
+
+    if (r.significant && -r.delta > options.hitRatioThreshold) {
+      regressions.push(line);
+    } else if (r.significant && r.delta > 0) {
+      improvements.push(line);
+    }
+  });
+
+  return { regressions, improvements };
+}
+
+// Platform id matching the CI matrix labels used for benchmarks/baseline
+export function platformId() {
+  const arch = { x64: "X64", arm64: "ARM64", arm: "ARM" }[process.arch];
+  let os = "unknown-os";
+  if (process.platform === "win32") os = "windows-latest";
+  else if (process.platform === "darwin") os = "macos-latest";
+  else if (process.platform === "linux") {
+    os = process.arch.startsWith("arm") ? "ubuntu-24.04-arm" : "ubuntu-latest";
+  }
+  return { os, arch: arch || process.arch.toUpperCase() };
+}
+
+function resolveBaselinePath(baselineArg, testName) {
+  if (!fs.existsSync(baselineArg) || !fs.statSync(baselineArg).isDirectory()) {
+    return baselineArg; // explicit file, or missing path reported by caller
+  }
+
+  const { os, arch } = platformId();
+  const candidates = [
+    path.join(baselineArg, `${testName}.${os}.${arch}.json`),
+    path.join(baselineArg, `${testName}.${os}.json`),
+    path.join(baselineArg, `${testName}.json`),
+  ];
+  const found = candidates.find((c) => fs.existsSync(c));
+  if (found) {
+    console.log(`Resolved baseline: ${found}`);
+    return found;
+  }
+  return candidates[0];
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function parseArgs(args) {
+  const positional = [];
+  const flags = {};
+  args.forEach((a) => {
+    const match = a.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      flags[match[1]] = match[2] !== undefined ? match[2] : true;
+    } else {
+      positional.push(a);
+    }
+  });
+  return { positional, flags };
+}
+
+function fail(message) {
+  console.error(`K6 GATE FAILURE: ${message}`);
+  return 1;
+}
+
+// The npm scripts only fill in the baseline location, so a bare `npm run` lands here
+function missingArguments(message) {
+  console.error(message);
+  console.log(usage);
+  return 2;
+}
+
+function loadRuns(files) {
+  const missing = files.find((f) => !fs.existsSync(f));
+  if (missing) {
+    throw new Error(`Summary not found: ${missing}`);
+  }
+  const summaries = files.map(readJson);
+  return { summaries, runs: summaries.map(extractRun) };
+}
+
+function record(positional, flags) {
+  if (!flags.out) {
+    return missingArguments("record needs --out=<baseline.json|baselineDir>");
+  }
+  if (positional.length === 0) {
+    return missingArguments(
+      "record needs at least one summary file, e.g. npm run baseline:record -- k6-results/smoke-summary.json",
+    );
+  }
+
+  const { summaries, runs } = loadRuns(positional);
+  const testName = flags.test || summaries[0].test;
+  const { os, arch } = platformId();
+  const platform = `${os}.${arch}`;
+
+  let outPath = flags.out;
+  if (!outPath.endsWith(".json")) {
+    fs.mkdirSync(outPath, { recursive: true });
+    outPath = path.join(outPath, `${testName}.${platform}.json`);
+  }
+
+  const baseline = buildBaseline(testName, runs, platform);
+  fs.writeFileSync(outPath, `${JSON.stringify(baseline, null, 2)}\n`);
+  console.log(
+    `Recorded ${runs.length} run(s) of '${testName}' as baseline: ${outPath}`,
+  );
+  return 0;
+}
+
+function compare(positional, flags) {
+  if (positional.length < 2) {
+    return missingArguments(
+      "compare needs a baseline and at least one summary file, e.g. npm run baseline:compare -- k6-results/smoke-summary.json",
+    );
+  }
+
+  const [baselineArg, ...summaryFiles] = positional;
+  const { summaries, runs } = loadRuns(summaryFiles);
+  const testName = flags.test || summaries[0].test || "unknown-test";
+
+  const baselinePath = resolveBaselinePath(baselineArg, testName);
+  if (!fs.existsSync(baselinePath)) {
+    console.log(
+      `No baseline found for test '${testName}'. Gate SKIPPED. (Expected at: ${baselinePath})`,
+    );
+    return 0;
+  }
+
+  const number = (name, fallback) =>
+    flags[name] !== undefined ? parseFloat(flags[name]) : fallback;
+  const { regressions, improvements } = compareToBaseline(
+    readJson(baselinePath),
+    runs,
+    {
+      latencyThreshold: number(
+        "latency-threshold",
+        defaultGateOptions.latencyThreshold,
+      ),
+      latencyMinDeltaMs: number(
+        "latency-min-delta-ms",
+        defaultGateOptions.latencyMinDeltaMs,
+      ),
+      errorRateThreshold: number(
+        "error-rate-threshold",
+        defaultGateOptions.errorRateThreshold,
+      ),
+      hitRatioThreshold: number(
+        "hit-ratio-threshold",
+        defaultGateOptions.hitRatioThreshold,
+      ),
+      sigmaMult: number("sigma-mult", defaultGateOptions.sigmaMult),
+      useSigma: !flags["no-sigma"],
+    },
+  );
+
+  if (regressions.length > 0) {
+    console.error(`Detected k6 regressions vs baseline (${testName}):`);
+    regressions.forEach((r) => console.error(`  ${r}`));
+    return 1;
+  }
+
+  console.log(`k6 gate passed for '${testName}' (no regressions).`);
+  if (improvements.length > 0) {
+    console.log("Notable improvements (consider updating baseline):");
+    improvements.forEach((i) => console.log(`  ${i}`));
+  }
+  return 0;
+}
+
+export function main(args) {
+  const [command, ...rest] = args;
+  const { positional, flags } = parseArgs(rest);
+
+  try {
+    switch (command) {
+      case "record":
+        return record(positional, flags);
+      case "compare":
+        return compare(positional, flags);
+      default:
+        console.log(usage);
+        return 2;
+    }
+  } catch (error) {
+    return fail(error.message);
+  }
+}
+
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href
+) {
+  process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,129 @@
+// Latency-Based Cache Classification for k6 Tests
+// The API does not say whether a response came from cache, but misses pay for the
+// simulated upstream call (100-500ms) while hits return in a few milliseconds. A
+// calibration run in setup() learns both latency modes per endpoint: forced misses
+// on fresh keys no test reads, then forced repeats of the same keys. Each later
+// response is classified as a probable hit or miss with the posterior probability
+// of that class as its confidence.
+//
+// Each mode is modelled as a log-normal distribution (a normal on ln(duration))
+// with a shared, pooled sigma and equal priors, so there is a single boundary
+// between the two modes, independent of the live hit ratio being measured, and
+// confidence falls as a duration approaches it. Queuing under heavy load blurs the
+// modes, which shows up as lower confidence.
+//
+// Model shape:
+//   { endpoints: { "users.get": { hit, miss, sigma, accuracy, reliable } } }
+// where hit/miss are { count, mu, variance, median } of the calibration samples.
+
+// Lower bound for sigma so two very tight modes do not make every duration a
+// certain hit or miss
+const minSigma = 0.05;
+
+function lognormalFit(durations) {
+  const logs = durations.map((d) => Math.log(Math.max(d, 0.001)));
+  const mu = logs.reduce((sum, value) => sum + value, 0) / logs.length;
+  const variance =
+    logs.reduce((sum, value) => sum + (value - mu) * (value - mu), 0) /
+    Math.max(1, logs.length - 1);
+  const sorted = [...durations].sort((a, b) => a - b);
+  return {
+    count: durations.length,
+    mu,
+    variance,
+    median: sorted[Math.floor(sorted.length / 2)],
+  };
+}
+
+function pooledSigma(hit, miss) {
+  const variance =
+    ((hit.count - 1) * hit.variance + (miss.count - 1) * miss.variance) /
+    Math.max(1, hit.count + miss.count - 2);
+  return Math.max(minSigma, Math.sqrt(variance));
+}
+
+// Posterior probability of a hit for `duration` under one endpoint's model
+function hitProbability(endpointModel, duration) {
+  const { hit, miss, sigma } = endpointModel;
+  const x = Math.log(Math.max(duration, 0.001));
+  const logRatio =
+    ((x - hit.mu) * (x - hit.mu) - (x - miss.mu) * (x - miss.mu)) /
+    (2 * sigma * sigma);
+  return 1 / (1 + Math.exp(logRatio));
+}
+
+// Classifies one duration in ms: { hit, confidence }, or null when the endpoint
+// was not calibrated or its calibration could not tell the modes apart
+export function classifyLatency(model, endpoint, duration) {
+  const endpointModel = model && model.endpoints[endpoint];
+  if (!endpointModel || !endpointModel.reliable) {
+    return null;
+  }
+  const probability = hitProbability(endpointModel, duration);
+  const hit = probability >= 0.5;
+  return { hit, confidence: hit ? probability : 1 - probability };
+}
+
+// Fits the model from calibration durations { [endpoint]: { misses, hits } }.
+// An endpoint is reliable when its own calibration samples are classified with
+// at least minAccuracy and misses are the slower mode.
+export function fitLatencyModel(calibration, minAccuracy) {
+  const endpoints = {};
+  Object.keys(calibration).forEach((endpoint) => {
+    const { misses, hits } = calibration[endpoint];
+    if (misses.length < 2 || hits.length < 2) {
+      return;
+    }
+    const endpointModel = {
+      hit: lognormalFit(hits),
+      miss: lognormalFit(misses),
+    };
+    endpointModel.sigma = pooledSigma(endpointModel.hit, endpointModel.miss);
+    const correct =
+      hits.filter((d) => hitProbability(endpointModel, d) >= 0.5).length +
+      misses.filter((d) => hitProbability(endpointModel, d) < 0.5).length;
+    endpointModel.accuracy = correct / (hits.length + misses.length);
+    endpointModel.reliable =
+      endpointModel.miss.median > endpointModel.hit.median &&
+      endpointModel.accuracy >= minAccuracy;
+    endpoints[endpoint] = endpointModel;
+  });
+  return { endpoints };
+}
+
+// Runs the calibration requests and fits the model; call it from setup().
+// `readers` maps each endpoint to a (id) => response read. The forced misses use
+// keys from `keyBase` upwards that no test reads; the example app cannot clear its
+// named caches (DELETE /api/cache/{name} answers 404), so fresh keys are the only
+// way to guarantee a miss.
+export function calibrateLatencyModel(readers, settings) {
+  const calibration = {};
+  Object.keys(readers).forEach((endpoint, index) => {
+    const read = readers[endpoint];
+    const firstKey = settings.keyBase + index * settings.samples;
+    const keys = Array.from(
+      { length: settings.samples },
+      (_, i) => firstKey + i,
+    );
+
+    const durationsOf = (response) =>
+      response.status === 200 ? [response.timings.duration] : [];
+    const misses = [];
+    keys.forEach((id) => misses.push(...durationsOf(read(id))));
+    const hits = [];
+    for (let r = 0; r < settings.repeats; r++) {
+      keys.forEach((id) => hits.push(...durationsOf(read(id))));
+    }
+
+    calibration[endpoint] = { misses, hits };
+  });
+  return fitLatencyModel(calibration, settings.minAccuracy);
+}
+
+// Console lines describing a fitted model
+export function formatLatencyModel(model) {
+  return Object.keys(model.endpoints).map((endpoint) => {
+    const { hit, miss, accuracy, reliable } = model.endpoints[endpoint];
+    return `${reliable ? "✅" : "⚠️"} ${endpoint}: hits ~${hit.median.toFixed(1)}ms (n=${hit.count}), misses ~${miss.median.toFixed(1)}ms (n=${miss.count}), calibration accuracy ${(accuracy * 100).toFixed(1)}%${reliable ? "" : ", not used"}`;
+  });
+}
@@ -0,0 +1,252 @@
+// k6 Named-Cache Isolation Tests for ASP.NET Core MeteredMemoryCache Example
+// These tests warm the named caches, clear one of them through DELETE /api/cache/{name}
+// and check that the others keep serving hits at the same latency, while the cleared
+// cache misses once and repopulates
+// Run against a quiet application with: k6 run k6-cache-isolation-tests.js
+
+import { sleep } from "k6";
+import { Rate, Trend } from "k6/metrics";
+import {
+  config,
+  getHealth,
+  getUser,
+  getProduct,
+  clearCache,
+} from "./k6-config.js";
+import {
+  snapshotCacheRequests,
+  diffCacheRequests,
+} from "./k6-server-metrics.js";
+import { percentile } from "./k6-spike-recovery.js";
+import { createSummaryHandler, summaryTrendStats } from "./k6-reporting.js";
+
+// Latency of the warm-key reads, tagged with cache_name, cleared and stage
+// (before_clear / after_clear)
+const isolationReadDuration = new Trend("isolation_read_duration");
+// Whether a cache kept its entries and latency while another cache was cleared,
+// tagged with cache_name and cleared
+const cacheIsolationRate = new Rate("cache_isolation_rate");
+// Whether the cleared cache missed on the next read and hit on the one after
+const cacheRepopulationRate = new Rate("cache_repopulation_rate");
+const cacheClearSuccessRate = new Rate("cache_clear_success_rate");
+
+const isolation = {
+  // Caches to clear, one round each
+  targets: (
+    __ENV.ISOLATION_TARGETS || "session-data,user-profiles,product-catalog"
+  )
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => name.length > 0),
+  keysPerCache: parseInt(__ENV.ISOLATION_KEYS_PER_CACHE || "20", 10),
+  // Allowed p(95) growth of the untouched caches' reads after the clear, relative
+  // and absolute; both must be exceeded to fail
+  latencyTolerance: parseFloat(__ENV.ISOLATION_LATENCY_TOLERANCE || "0.5"),
+  minLatencyMs: parseFloat(__ENV.ISOLATION_MIN_LATENCY_MS || "20"),
+  // Prometheus scrape responses are cached briefly, so wait before each snapshot
+  settleSeconds: parseFloat(__ENV.ISOLATION_SETTLE_SECONDS || "2"),
+};
+
+// Caches the API reads from, with the request that reads one key. The app has
+// no endpoint reading session-data or api-responses, so those can be cleared but
+// neither warmed nor observed.
+const readers = {
+  "user-profiles": getUser,
+  "product-catalog": getProduct,
+};
+const readableCaches = Object.keys(readers);
+
+export let options = {
+  scenarios: {
+    isolation: {
+      executor: "per-vu-iterations",
+      vus: 1,
+      iterations: 1,
+      maxDuration: "10m",
+      tags: { test_type: "cache_isolation" },
+    },
+  },
+  summaryTrendStats,
+  thresholds: {
+    cache_clear_success_rate: ["rate==1"],
+    cache_isolation_rate: ["rate==1"],
+    cache_repopulation_rate: ["rate==1"],
+  },
+};
+
+function snapshot() {
+  sleep(isolation.settleSeconds);
+  const result = snapshotCacheRequests();
+  if (!result) {
+    throw new Error("Failed to scrape /metrics");
+  }
+  return result;
+}
+
+function delta(before, after, cacheName) {
+  return diffCacheRequests(before, after)[cacheName] || { hits: 0, misses: 0 };
+}
+
+// Reads every key once, recording the latencies under `tags`
+function readKeys(cacheName, keys, tags) {
+  return keys.map((id) => {
+    const response = readers[cacheName](id);
+    isolationReadDuration.add(response.timings.duration, {
+      cache_name: cacheName,
+      ...tags,
+    });
+    return response.timings.duration;
+  });
+}
+
+function formatMs(value) {
+  return value !== undefined ? `${value.toFixed(1)}ms` : "n/a";
+}
+
+export function setup() {
+  console.log(
+    "🚀 Starting k6 Named-Cache Isolation Tests for ASP.NET Core MeteredMemoryCache",
+  );
+  console.log(`📍 Base URL: ${config.baseUrl}`);
+  console.log(
+    `🔢 Clearing ${isolation.targets.join(", ")} in turn, ${isolation.keysPerCache} warm keys per cache`,
+  );
+
+  const healthResponse = getHealth();
+  if (healthResponse.status !== 200) {
+    throw new Error(
+      `Application health check failed: ${healthResponse.status}`,
+    );
+  }
+
+  // Fresh keys per run so earlier runs cannot leave entries behind
+  const keyBase = __ENV.ISOLATION_KEY_BASE
+    ? parseInt(__ENV.ISOLATION_KEY_BASE, 10)
+    : 2000000 + (Math.floor(Date.now() / 1000) % 100000) * 10000;
+
+  console.log("✅ Application is healthy");
+  return { startTime: new Date().toISOString(), keyBase };
+}
+
+// One round per target:
+//   1. warm fresh keys in every readable cache (miss, then hit)
+//   2. read them again for the pre-clear latency and hit counts
+//   3. clear the target
+//   4. read the other caches' keys again: all hits, latency within tolerance
+//   5. if the clear succeeded, read one of the target's keys twice: a miss, then a hit
+export default function (data) {
+  isolation.targets.forEach((target, round) => {
+    const keys = {};
+    readableCaches.forEach((cacheName, index) => {
+      const first =
+        data.keyBase + (round * readableCaches.length + index) * 1000;
+      keys[cacheName] = Array.from(
+        { length: isolation.keysPerCache },
+        (_, i) => first + i,
+      );
+    });
+
+    console.log(`🧹 Round ${round + 1}: clearing ${target}`);
+
+    readableCaches.forEach((cacheName) => {
+      keys[cacheName].forEach((id) => readers[cacheName](id));
+    });
+
+    const beforeReads = {};
+    readableCaches.forEach((cacheName) => {
+      beforeReads[cacheName] = readKeys(cacheName, keys[cacheName], {
+        cleared: target,
+        stage: "before_clear",
+      });
+    });
+    const beforeClear = snapshot();
+
+    const clearResponse = clearCache(target);
+    const cleared = clearResponse.status === 204;
+    cacheClearSuccessRate.add(cleared, { cache_name: target });
+    if (!cleared) {
+      console.log(
+        `   ❌ DELETE /api/cache/${target} answered ${clearResponse.status}: ${clearResponse.body}`,
+      );
+      if (clearResponse.status === 404) {
+        console.log(
+          "   🔍 The example app answers 404 for every registered cache: ClearCache checks `cache is MemoryCache`, which never matches a MeteredMemoryCache",
+        );
+      }
+    }
+
+    const others = readableCaches.filter((cacheName) => cacheName !== target);
+    const afterReads = {};
+    others.forEach((cacheName) => {
+      afterReads[cacheName] = readKeys(cacheName, keys[cacheName], {
+        cleared: target,
+        stage: "after_clear",
+      });
+    });
+    const afterClear = snapshot();
+
+    others.forEach((cacheName) => {
+      const counts = delta(beforeClear, afterClear, cacheName);
+      const before = percentile(beforeReads[cacheName], 95);
+      const after = percentile(afterReads[cacheName], 95);
+      const slower =
+        after > before * (1 + isolation.latencyTolerance) &&
+        after - before > isolation.minLatencyMs;
+      const isolated =
+        counts.misses === 0 &&
+        counts.hits === isolation.keysPerCache &&
+        !slower;
+
+      cacheIsolationRate.add(isolated, {
+        cache_name: cacheName,
+        cleared: target,
+      });
+      console.log(
+        `   ${isolated ? "✅" : "❌"} ${cacheName}: ${counts.hits} hits, ${counts.misses} misses of ${isolation.keysPerCache} reads, p(95) ${formatMs(before)} → ${formatMs(after)}`,
+      );
+    });
+
+    if (!readers[target]) {
+      console.log(
+        `   🔍 ${target}: repopulation not observable, no endpoint reads from it`,
+      );
+      return;
+    }
+    if (!cleared) {
+      console.log(
+        `   ⏭️ ${target}: repopulation not checked, the clear did not succeed`,
+      );
+      return;
+    }
+
+    const key = keys[target][0];
+    readers[target](key);
+    const afterMiss = snapshot();
+    readers[target](key);
+    const afterHit = snapshot();
+
+    const first = delta(afterClear, afterMiss, target);
+    const second = delta(afterMiss, afterHit, target);
+    const repopulated =
+      first.misses === 1 &&
+      first.hits === 0 &&
+      second.hits === 1 &&
+      second.misses === 0;
+
+    cacheRepopulationRate.add(repopulated, { cache_name: target });
+    console.log(
+      `   ${repopulated ? "✅" : "❌"} ${target} repopulation: first read ${first.hits} hits/${first.misses} misses, second read ${second.hits} hits/${second.misses} misses`,
+    );
+    if (first.misses === 0 && first.hits === 1) {
+      console.log(
+        `   ⚠️ ${target} still served the entry although the clear answered 204; nothing was evicted`,
+      );
+    }
+  });
+}
+
+export function teardown() {
+  console.log("🏁 Named-cache isolation tests completed");
+}
+
+export const handleSummary = createSummaryHandler("isolation");
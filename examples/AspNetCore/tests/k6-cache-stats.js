@@ -0,0 +1,164 @@
+// Cache Statistics Comparison for k6 Tests
+// Compares two /api/cache/stats payloads (CacheStatsDto) per named cache:
+//   { caches: [{ name, estimatedSize, maxSize }], timestamp }
+// and produces a verdict for every cache seen in either snapshot
+
+// Default regression limits for compareCacheStats()
+export const cacheStatsLimits = {
+  maxSizeGrowthPercent: 50, // Estimated size growth tolerated between snapshots
+};
+
+// Validates a CacheStatsDto payload and indexes its caches by name.
+// Returns { caches, errors }; caches is null when the payload is unusable.
+export function parseCacheStats(payload) {
+  if (!payload || !Array.isArray(payload.caches)) {
+    return { caches: null, errors: ["payload has no 'caches' array"] };
+  }
+
+  const caches = {};
+  const errors = [];
+  payload.caches.forEach((cache, index) => {
+    if (!cache || typeof cache.name !== "string") {
+      errors.push(`caches[${index}] has no string 'name'`);
+      return;
+    }
+    ["estimatedSize", "maxSize"].forEach((field) => {
+      if (typeof cache[field] !== "number") {
+        errors.push(`${cache.name}: '${field}' is not a number`);
+      }
+    });
+    if (caches[cache.name]) {
+      errors.push(`${cache.name}: reported more than once`);
+    }
+    caches[cache.name] = {
+      estimatedSize: cache.estimatedSize,
+      maxSize: cache.maxSize,
+    };
+  });
+
+  return { caches, errors };
+}
+
+// Diffs two payloads per cache name. Each row carries the sizes on both sides,
+// the growth and a verdict:
+//   ok            within capacity and growth limits
+//   growing       estimated size grew more than maxSizeGrowthPercent
+//   over_capacity final estimatedSize exceeds maxSize
+//   removed       present initially, missing at the end
+//   added         missing initially, present at the end (flagged, not a regression)
+// Schema errors and every verdict other than ok/added are listed in `regressions`.
+export function compareCacheStats(
+  initialPayload,
+  finalPayload,
+  limits = cacheStatsLimits,
+) {
+  const initial = parseCacheStats(initialPayload);
+  const final = parseCacheStats(finalPayload);
+  const regressions = [
+    ...initial.errors.map((error) => `initial stats: ${error}`),
+    ...final.errors.map((error) => `final stats: ${error}`),
+  ];
+
+  if (!initial.caches || !final.caches) {
+    return { rows: [], regressions };
+  }
+
+  const names = [
+    ...new Set([...Object.keys(initial.caches), ...Object.keys(final.caches)]),
+  ].sort();
+
+  const rows = names.map((name) => {
+    const before = initial.caches[name];
+    const after = final.caches[name];
+    const row = {
+      name,
+      initialSize: before ? before.estimatedSize : undefined,
+      finalSize: after ? after.estimatedSize : undefined,
+      maxSize: after ? after.maxSize : before.maxSize,
+      delta: undefined,
+      growthPercent: undefined,
+      verdict: "ok",
+    };
+
+    if (!after) {
+      row.verdict = "removed";
+      regressions.push(`${name} disappeared from cache stats`);
+      return row;
+    }
+    if (!before) {
+      row.verdict = "added";
+    } else {
+      row.delta = after.estimatedSize - before.estimatedSize;
+      row.growthPercent =
+        before.estimatedSize > 0
+          ? (row.delta / before.estimatedSize) * 100
+          : undefined;
+    }
+
+    if (after.estimatedSize > after.maxSize) {
+      row.verdict = "over_capacity";
+      regressions.push(
+        `${name} estimatedSize ${after.estimatedSize} exceeds maxSize ${after.maxSize}`,
+      );
+    } else if (
+      row.growthPercent !== undefined &&
+      row.growthPercent > limits.maxSizeGrowthPercent
+    ) {
+      row.verdict = "growing";
+      regressions.push(
+        `${name} estimatedSize grew by ${row.growthPercent.toFixed(2)}% (threshold: ${limits.maxSizeGrowthPercent}%)`,
+      );
+    }
+
+    return row;
+  });
+
+  return { rows, regressions };
+}
+
+const verdictIcons = {
+  ok: "✅",
+  added: "🆕",
+  removed: "❌",
+  over_capacity: "❌",
+  growing: "❌",
+};
+
+function formatSize(value) {
+  return value !== undefined ? String(value) : "-";
+}
+
+// Logs the per-cache verdict table produced by compareCacheStats()
+export function logCacheStatsComparison({ rows, regressions }) {
+  console.log("📈 Cache statistics comparison (estimatedSize / maxSize):");
+  const header = ["cache", "initial", "final", "max", "Δ", "verdict"];
+  const table = rows.map((row) => [
+    row.name,
+    formatSize(row.initialSize),
+    formatSize(row.finalSize),
+    formatSize(row.maxSize),
+    row.delta !== undefined
+      ? `${row.delta >= 0 ? "+" : ""}${row.delta}` +
+        (row.growthPercent !== undefined
+          ? ` (${row.growthPercent.toFixed(2)}%)`
+          : "")
+      : "-",
+    `${verdictIcons[row.verdict]} ${row.verdict}`,
+  ]);
+
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...table.map((cells) => cells[column].length)),
+  );
+  [header, ...table].forEach((cells) => {
+    console.log(
+      `   ${cells.map((cell, column) => cell.padEnd(widths[column])).join("  ")}`.trimEnd(),
+    );
+  });
+
+  if (regressions.length > 0) {
+    console.log("❌ REGRESSIONS DETECTED:");
+    regressions.forEach((regression) => console.log(`   - ${regression}`));
+  } else {
+    console.log("✅ Every cache is within capacity and growth limits");
+  }
+}
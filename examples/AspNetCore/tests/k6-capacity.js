@@ -0,0 +1,220 @@
+// Capacity Detection for k6 Tests
+// Builds the staircase of arrival rates the open-model breakpoint test climbs and,
+// from the per-step submetrics in the end-of-test summary, works out:
+//   sustained  the highest rate served within SLO at (nearly) the requested rate
+//   broken     the first rate at which p(95) latency or the error rate crossed the SLO
+//   knee       where the latency curve bends upwards (Kneedle: the point farthest
+//              below the chord of the normalized curve)
+//
+// Requests carry a `target_rate` tag with the rate of the step they started in, so
+// http_req_duration{target_rate:40} etc. describe one step of the staircase.
+
+// Share of the requested iteration rate a step must reach to count as sustained;
+// below it k6 ran out of VUs and dropped iterations, i.e. the system saturated
+export const minAchievedShare = 0.9;
+
+// Knee points whose normalized distance below the chord is smaller than this are
+// noise on a flat curve rather than a bend
+const minKneeDistance = 0.1;
+
+// Rates from startRate up to maxRate in rateStep increments, maxRate included
+export function rateSteps({ startRate, rateStep, maxRate }) {
+  if (!(rateStep > 0)) {
+    throw new Error(`Breakpoint rate step must be positive: ${rateStep}`);
+  }
+  const rates = [];
+  for (let rate = startRate; rate < maxRate; rate += rateStep) {
+    rates.push(rate);
+  }
+  rates.push(maxRate);
+  return rates;
+}
+
+// ramping-arrival-rate stages holding each rate for stepSeconds, reached after a
+// one second ramp from the previous step
+export function arrivalRateStages(rates, stepSeconds) {
+  const stages = [];
+  rates.forEach((rate) => {
+    stages.push({ duration: "1s", target: rate });
+    stages.push({ duration: `${stepSeconds - 1}s`, target: rate });
+  });
+  return stages;
+}
+
+// Step of an arrivalRateStages() stage index: each step is a ramp and a hold
+export function stepIndexForStage(stageIndex) {
+  return Math.floor(stageIndex / 2);
+}
+
+// Index of the step running `elapsedSeconds` into the scenario
+export function stepIndexAt(elapsedSeconds, stepCount, stepSeconds) {
+  const index = Math.floor(elapsedSeconds / stepSeconds);
+  return Math.max(0, Math.min(stepCount - 1, index));
+}
+
+function submetric(metrics, name, rate) {
+  const metric = metrics[`${name}{target_rate:${rate}}`];
+  return metric ? metric.values : undefined;
+}
+
+// Reads each step's submetrics from handleSummary data, including the server-side
+// hit ratio of the sampler windows tagged with the step. Steps without requests
+// (not reached before the test ended or aborted) are left out; the last step
+// reached is marked `partial` when the run stopped before it finished.
+export function collectStepResults(metrics, rates, stepSeconds, runSeconds) {
+  const steps = [];
+
+  rates.forEach((rate, index) => {
+    const durations = submetric(metrics, "http_req_duration", rate);
+    if (!durations) return;
+
+    const failed = submetric(metrics, "http_req_failed", rate);
+    const requests = submetric(metrics, "http_reqs", rate);
+    const iterations = submetric(metrics, "iterations", rate);
+    const hits = submetric(metrics, "server_cache_window_hits", rate);
+    const misses = submetric(metrics, "server_cache_window_misses", rate);
+    const hitCount = hits ? hits.count : 0;
+    const lookups = hitCount + (misses ? misses.count : 0);
+    const seconds = Math.max(
+      1,
+      Math.min(stepSeconds, runSeconds - index * stepSeconds),
+    );
+
+    steps.push({
+      targetRate: rate,
+      p95: durations["p(95)"],
+      errorRate: failed ? failed.rate : 0,
+      requestRate: requests ? requests.count / seconds : undefined,
+      iterationRate: iterations ? iterations.count / seconds : undefined,
+      hitRatio: lookups > 0 ? hitCount / lookups : undefined,
+      partial: seconds < stepSeconds,
+    });
+  });
+
+  return steps;
+}
+
+// Index of the knee in an increasing latency curve of { x, y } points, or -1 when
+// there are too few points or the curve never bends
+export function findKnee(points) {
+  if (points.length < 3) {
+    return -1;
+  }
+
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const [minX, maxX] = [Math.min(...xs), Math.max(...xs)];
+  const [minY, maxY] = [Math.min(...ys), Math.max(...ys)];
+  if (maxX === minX || maxY === minY) {
+    return -1;
+  }
+
+  let knee = -1;
+  let farthest = minKneeDistance;
+  points.forEach((p, index) => {
+    const distance =
+      (p.x - minX) / (maxX - minX) - (p.y - minY) / (maxY - minY);
+    if (distance > farthest) {
+      farthest = distance;
+      knee = index;
+    }
+  });
+  return knee;
+}
+
+// Classifies every step against the SLO ({ p95, errorRate }) and picks out the
+// sustained, broken and knee steps (undefined when there is none)
+export function analyzeCapacity(steps, slo) {
+  const classified = steps.map((step) => {
+    const reasons = [];
+    if (step.p95 >= slo.p95) {
+      reasons.push(`p(95) ${step.p95.toFixed(0)}ms ≥ ${slo.p95}ms`);
+    }
+    if (step.errorRate >= slo.errorRate) {
+      reasons.push(
+        `error rate ${(step.errorRate * 100).toFixed(2)}% ≥ ${(slo.errorRate * 100).toFixed(2)}%`,
+      );
+    }
+    const saturated =
+      !step.partial &&
+      step.iterationRate !== undefined &&
+      step.iterationRate < step.targetRate * minAchievedShare;
+    return { ...step, withinSlo: reasons.length === 0, saturated, reasons };
+  });
+
+  const brokenIndex = classified.findIndex((step) => !step.withinSlo);
+  const healthy =
+    brokenIndex === -1 ? classified : classified.slice(0, brokenIndex);
+  const sustained = healthy.filter((step) => !step.saturated && !step.partial);
+  const knee = findKnee(
+    classified.map((step) => ({ x: step.targetRate, y: step.p95 })),
+  );
+
+  return {
+    slo,
+    steps: classified,
+    sustained: sustained[sustained.length - 1],
+    broken: brokenIndex === -1 ? undefined : classified[brokenIndex],
+    knee: knee === -1 ? undefined : classified[knee],
+  };
+}
+
+function formatRate(value) {
+  return value !== undefined ? value.toFixed(1) : "-";
+}
+
+// Console/Markdown lines for a capacity analysis: a step table and the verdicts
+export function formatCapacityReport(capacity) {
+  const lines = [];
+  const header = [
+    "target/s",
+    "iter/s",
+    "req/s",
+    "p(95) ms",
+    "errors",
+    "hit ratio",
+    "SLO",
+  ];
+  const table = capacity.steps.map((step) => [
+    String(step.targetRate),
+    formatRate(step.iterationRate),
+    formatRate(step.requestRate),
+    step.p95.toFixed(0),
+    `${(step.errorRate * 100).toFixed(2)}%`,
+    step.hitRatio !== undefined ? `${(step.hitRatio * 100).toFixed(2)}%` : "-",
+    (step.withinSlo ? "✅" : "❌") +
+      (step.saturated ? " saturated" : "") +
+      (step.partial ? " partial" : ""),
+  ]);
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...table.map((cells) => cells[column].length)),
+  );
+  [header, ...table].forEach((cells) => {
+    lines.push(
+      cells
+        .map((cell, column) => cell.padEnd(widths[column]))
+        .join("  ")
+        .trimEnd(),
+    );
+  });
+  lines.push("");
+
+  const { sustained, broken, knee } = capacity;
+  lines.push(
+    sustained
+      ? `✅ Highest rate sustained within SLO: ${sustained.targetRate} iterations/s (${formatRate(sustained.requestRate)} req/s, p(95) ${sustained.p95.toFixed(0)}ms)`
+      : "❌ No step was sustained within SLO",
+  );
+  lines.push(
+    broken
+      ? `💥 SLO crossed at ${broken.targetRate} iterations/s (${formatRate(broken.requestRate)} req/s): ${broken.reasons.join(", ")}`
+      : "✅ SLO held up to the highest rate tested; raise BREAKPOINT_MAX_RATE to find the limit",
+  );
+  lines.push(
+    knee
+      ? `📐 Latency knee at ${knee.targetRate} iterations/s (p(95) ${knee.p95.toFixed(0)}ms)`
+      : "📐 No knee in the latency curve",
+  );
+
+  return lines;
+}
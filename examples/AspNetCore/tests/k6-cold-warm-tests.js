@@ -0,0 +1,251 @@
+// k6 Cold vs Warm Latency Tests for ASP.NET Core MeteredMemoryCache Example
+// These tests clear every named cache, read a fresh key space the size of the
+// configured one once per endpoint (the cold pass) and then read it again
+// COLD_WARM_PASSES times (warm passes), and compare the two latency distributions
+// per endpoint
+// Run against a quiet application with: k6 run k6-cold-warm-tests.js
+
+import { Gauge, Trend } from "k6/metrics";
+import {
+  config,
+  getHealth,
+  getUser,
+  getProduct,
+  getProductsByCategory,
+  searchProducts,
+  clearCache,
+} from "./k6-config.js";
+import { percentile } from "./k6-spike-recovery.js";
+import {
+  createSummaryHandler,
+  summaryTrendStats,
+  trackSubmetrics,
+} from "./k6-reporting.js";
+
+// Request latency of the cold pass and of the warm passes, tagged with endpoint
+const coldLatency = new Trend("cold_latency", true);
+const warmLatency = new Trend("warm_latency", true);
+// Cold p(95) divided by warm p(95), tagged with endpoint
+const cacheSpeedupFactor = new Gauge("cache_speedup_factor");
+
+const coldWarm = {
+  warmPasses: parseInt(__ENV.COLD_WARM_PASSES || "5", 10),
+  // Warm p(95) must be at least this many times faster than cold p(95)
+  minSpeedup: parseFloat(__ENV.COLD_WARM_MIN_SPEEDUP || "5"),
+};
+
+// Ids from the run's key base, one per id in `range`
+const freshIds = (range) => (keyBase) => range.map((_, i) => keyBase + i);
+
+// Endpoints profiled over a key space the size of their config.testData range.
+// The keys are fresh per run (ids from the key base, search queries with it as a
+// suffix), since earlier traffic would make the cold pass warm and the example
+// app cannot clear its named caches.
+const profiledEndpoints = {
+  "users.get": { keys: freshIds(config.testData.userIds), read: getUser },
+  "products.get": {
+    keys: freshIds(config.testData.productIds),
+    read: getProduct,
+  },
+  "products.category": {
+    keys: freshIds(config.testData.categoryIds),
+    read: getProductsByCategory,
+  },
+  "products.search": {
+    keys: (keyBase) =>
+      config.testData.searchQueries.map((query) => `${query}-${keyBase}`),
+    read: (query) => searchProducts(query),
+  },
+};
+const endpointNames = Object.keys(profiledEndpoints);
+
+// Only the profiled reads must succeed; the cache clears are allowed to fail
+function coldWarmThresholds() {
+  const result = {};
+  endpointNames.forEach((endpoint) => {
+    result[`http_req_failed{endpoint:${endpoint}}`] = ["rate==0"];
+    result[`cache_speedup_factor{endpoint:${endpoint}}`] = [
+      `value>=${coldWarm.minSpeedup}`,
+    ];
+  });
+  return result;
+}
+
+export let options = {
+  scenarios: {
+    coldWarm: {
+      executor: "per-vu-iterations",
+      vus: 1,
+      iterations: 1,
+      maxDuration: "10m",
+      tags: { test_type: "cold_warm" },
+    },
+  },
+  summaryTrendStats,
+  thresholds: {
+    ...coldWarmThresholds(),
+    ...trackSubmetrics("cold_latency", "trend", "endpoint", endpointNames),
+    ...trackSubmetrics("warm_latency", "trend", "endpoint", endpointNames),
+  },
+};
+
+export function setup() {
+  console.log(
+    "🚀 Starting k6 Cold vs Warm Latency Tests for ASP.NET Core MeteredMemoryCache",
+  );
+  console.log(`📍 Base URL: ${config.baseUrl}`);
+  console.log(
+    `🔢 ${endpointNames.length} endpoints, 1 cold and ${coldWarm.warmPasses} warm passes, warm p(95) must be ${coldWarm.minSpeedup}x faster`,
+  );
+
+  const healthResponse = getHealth();
+  if (healthResponse.status !== 200) {
+    throw new Error(
+      `Application health check failed: ${healthResponse.status}`,
+    );
+  }
+
+  // Kept below int.MaxValue / 100, since the app derives category product ids as
+  // categoryId * 100 + i
+  const keyBase = __ENV.COLD_WARM_KEY_BASE
+    ? parseInt(__ENV.COLD_WARM_KEY_BASE, 10)
+    : 3000000 + (Math.floor(Date.now() / 1000) % 10000) * 1000;
+
+  console.log("✅ Application is healthy");
+  return { startTime: new Date().toISOString(), keyBase };
+}
+
+// Reads every key of every endpoint once, returning the durations per endpoint
+function readKeySpace(trend, keys) {
+  const durations = {};
+  endpointNames.forEach((endpoint) => {
+    const { read } = profiledEndpoints[endpoint];
+    durations[endpoint] = [];
+    keys[endpoint].forEach((key) => {
+      const response = read(key);
+      if (response.status !== 200) return;
+      trend.add(response.timings.duration, { endpoint });
+      durations[endpoint].push(response.timings.duration);
+    });
+  });
+  return durations;
+}
+
+export default function (data) {
+  const notCleared = config.testData.cacheNames.filter(
+    (cacheName) => clearCache(cacheName).status !== 204,
+  );
+  if (notCleared.length > 0) {
+    console.log(
+      `⚠️ Could not clear ${notCleared.join(", ")}; the cold pass relies on fresh keys alone`,
+    );
+  }
+
+  const keys = {};
+  endpointNames.forEach((endpoint) => {
+    keys[endpoint] = profiledEndpoints[endpoint].keys(data.keyBase);
+  });
+
+  console.log(`🧊 Cold pass from key ${data.keyBase}`);
+  const cold = readKeySpace(coldLatency, keys);
+
+  console.log(`🔥 ${coldWarm.warmPasses} warm passes`);
+  const warm = {};
+  endpointNames.forEach((endpoint) => {
+    warm[endpoint] = [];
+  });
+  for (let pass = 0; pass < coldWarm.warmPasses; pass++) {
+    const durations = readKeySpace(warmLatency, keys);
+    endpointNames.forEach((endpoint) => {
+      warm[endpoint].push(...durations[endpoint]);
+    });
+  }
+
+  endpointNames.forEach((endpoint) => {
+    const coldP95 = percentile(cold[endpoint], 95);
+    const warmP95 = percentile(warm[endpoint], 95);
+    if (coldP95 === undefined || !warmP95) {
+      console.log(`   ❌ ${endpoint}: no successful reads to compare`);
+      return;
+    }
+    const speedup = coldP95 / warmP95;
+    cacheSpeedupFactor.add(speedup, { endpoint });
+    console.log(
+      `   ${speedup >= coldWarm.minSpeedup ? "✅" : "❌"} ${endpoint}: p(95) cold ${coldP95.toFixed(1)}ms, warm ${warmP95.toFixed(1)}ms, ${speedup.toFixed(1)}x`,
+    );
+  });
+}
+
+export function teardown() {
+  console.log("🏁 Cold vs warm latency tests completed");
+}
+
+function formatMs(values, stat) {
+  return values && values[stat] !== undefined ? values[stat].toFixed(1) : "-";
+}
+
+// Per-endpoint cold/warm percentiles and speedup from handleSummary data
+function collectColdWarmReport(metrics) {
+  const values = (name, endpoint) => {
+    const metric = metrics[`${name}{endpoint:${endpoint}}`];
+    return metric ? metric.values : undefined;
+  };
+  return endpointNames.map((endpoint) => {
+    const speedup = values("cache_speedup_factor", endpoint);
+    return {
+      endpoint,
+      cold: values("cold_latency", endpoint),
+      warm: values("warm_latency", endpoint),
+      speedup: speedup ? speedup.value : undefined,
+    };
+  });
+}
+
+function formatColdWarmReport(rows) {
+  const header = [
+    "endpoint",
+    "cold p50",
+    "cold p95",
+    "cold p99",
+    "warm p50",
+    "warm p95",
+    "warm p99",
+    "speedup",
+  ];
+  const table = rows.map((row) => [
+    row.endpoint,
+    formatMs(row.cold, "med"),
+    formatMs(row.cold, "p(95)"),
+    formatMs(row.cold, "p(99)"),
+    formatMs(row.warm, "med"),
+    formatMs(row.warm, "p(95)"),
+    formatMs(row.warm, "p(99)"),
+    row.speedup !== undefined
+      ? `${row.speedup >= coldWarm.minSpeedup ? "✅" : "❌"} ${row.speedup.toFixed(1)}x`
+      : "-",
+  ]);
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...table.map((cells) => cells[column].length)),
+  );
+  return [
+    ...[header, ...table].map((cells) =>
+      cells
+        .map((cell, column) => cell.padEnd(widths[column]))
+        .join("  ")
+        .trimEnd(),
+    ),
+    "",
+    `Latencies in ms; speedup is cold p(95) / warm p(95), at least ${coldWarm.minSpeedup}x required`,
+  ];
+}
+
+export const handleSummary = createSummaryHandler("cold-warm", {
+  analyze: (data) => {
+    const endpoints = collectColdWarmReport(data.metrics);
+    return {
+      title: "Cold vs warm latency",
+      lines: formatColdWarmReport(endpoints),
+      report: { minSpeedup: coldWarm.minSpeedup, endpoints },
+    };
+  },
+});
@@ -2,27 +2,59 @@
 // This file contains shared configuration and utility functions for k6 tests
 
 import { check, sleep } from "k6";
+import exec from "k6/execution";
 import http from "k6/http";
 import { Rate, Trend, Counter } from "k6/metrics";
+import {
+  parsePrometheusText,
+  sumSamples,
+  sampleValue,
+} from "./k6-prometheus.js";
+import {
+  createKeyDistribution,
+  pickKey,
+  describeDistribution,
+} from "./k6-key-distribution.js";
+import { createContractValidator } from "./k6-contracts.js";
+import { rateSteps, arrivalRateStages } from "./k6-capacity.js";
+import {
+  calibrateLatencyModel,
+  classifyLatency,
+  formatLatencyModel,
+} from "./k6-cache-classifier.js";
 
 // Custom metrics for cache performance monitoring
+// Hits and misses are inferred from response latency once the classifier is
+// calibrated (see calibrateCacheClassifier()); confidence is tagged with outcome
 export const cacheHitRate = new Rate("cache_hit_rate");
 export const cacheMissRate = new Rate("cache_miss_rate");
+export const cacheClassificationConfidence = new Trend(
+  "cache_classification_confidence",
+);
 export const cacheEvictionRate = new Rate("cache_eviction_rate");
 export const responseTime = new Trend("response_time");
 export const cacheResponseTime = new Trend("cache_response_time");
 export const apiResponseTime = new Trend("api_response_time");
 export const errorRate = new Rate("error_rate");
 export const requestCount = new Counter("request_count");
+export const staleReadRate = new Rate("stale_read_rate");
+export const contractViolationRate = new Rate("contract_violation_rate");
+
+// Builds a contiguous id range, overridable with <PREFIX>_KEY_START / <PREFIX>_KEY_COUNT
+function keyRange(prefix, defaultStart, defaultCount) {
+  const start = parseInt(__ENV[`${prefix}_KEY_START`] || defaultStart, 10);
+  const count = parseInt(__ENV[`${prefix}_KEY_COUNT`] || defaultCount, 10);
+  return Array.from({ length: count }, (_, i) => start + i);
+}
 
 // Test configuration
 export const config = {
   baseUrl: __ENV.BASE_URL || "https://localhost:64494",
   httpHostUrl: __ENV.HTTP_HOST_URL || "http://localhost:64495",
   testData: {
-    userIds: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
-    productIds: [100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
-    categoryIds: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+    userIds: keyRange("USER", 1, 10),
+    productIds: keyRange("PRODUCT", 100, 10),
+    categoryIds: keyRange("CATEGORY", 1, 10),
     searchQueries: [
       "laptop",
       "phone",
@@ -42,6 +74,179 @@ export const config = {
       "api-responses",
     ],
   },
+  keyDistribution: {
+    type: __ENV.KEY_DISTRIBUTION || "uniform", // uniform, zipf, hotspot, sequential
+    skew: parseFloat(__ENV.ZIPF_SKEW || "1.0"),
+    hotTraffic: parseFloat(__ENV.HOTSPOT_TRAFFIC || "0.8"), // share of requests sent to hot keys
+    hotKeys: parseFloat(__ENV.HOTSPOT_KEYS || "0.2"), // share of keys that are hot
+  },
+  invalidation: {
+    // Read-after-write delays in seconds; 0 (immediate read) is always included
+    delays: [
+      0,
+      ...(__ENV.INVALIDATION_DELAYS || "0.1")
+        .split(",")
+        .map((d) => parseFloat(d))
+        .filter((d) => d > 0),
+    ],
+  },
+  serverMetrics: {
+    sampleIntervalSeconds: parseInt(__ENV.SERVER_METRICS_INTERVAL || "10", 10),
+    // session-data and api-responses are registered but no example service
+    // reads from them, so only these caches produce a hit ratio to gate on
+    gatedCaches: ["user-profiles", "product-catalog"],
+  },
+  contracts: {
+    mode: __ENV.CONTRACT_VALIDATION || "sampled", // off, sampled, full
+    sampleRate: parseFloat(__ENV.CONTRACT_SAMPLE_RATE || "0.1"), // share validated in sampled mode
+  },
+  leakDetection: {
+    sampleIntervalSeconds: parseInt(__ENV.LEAK_SAMPLE_INTERVAL || "30", 10),
+    // Caches fill and the GC settles early on, so the fit starts after warm-up
+    warmupSeconds: parseInt(__ENV.LEAK_WARMUP_SECONDS || "300", 10),
+    maxGrowthPerHour: parseFloat(__ENV.LEAK_MAX_GROWTH_PER_HOUR || "0.1"), // relative to the mean
+    minR2: parseFloat(__ENV.LEAK_MIN_R2 || "0.5"), // how linear the growth must be
+  },
+  latencyDrift: {
+    windowSeconds: parseInt(__ENV.SOAK_WINDOW_SECONDS || "60", 10),
+    // Windows skipped while caches fill; the next one is the baseline
+    warmupWindows: parseInt(__ENV.SOAK_DRIFT_WARMUP_WINDOWS || "2", 10),
+    maxLatencyDriftPercent: parseFloat(__ENV.SOAK_MAX_LATENCY_DRIFT || "50"), // per percentile
+    minLatencyDriftMs: parseFloat(__ENV.SOAK_MIN_LATENCY_DRIFT_MS || "50"), // ignore smaller moves
+    maxErrorRateDrift: parseFloat(__ENV.SOAK_MAX_ERROR_RATE_DRIFT || "1"), // percentage points
+  },
+  spikeRecovery: {
+    probeRequests: parseInt(__ENV.SPIKE_PROBE_REQUESTS || "10", 10), // per second
+    baselineSeconds: parseInt(__ENV.SPIKE_BASELINE_SECONDS || "30", 10), // before the spike
+    windowSeconds: parseInt(__ENV.SPIKE_RECOVERY_WINDOW || "5", 10), // rolling window
+    latencyTolerance: parseFloat(__ENV.SPIKE_LATENCY_TOLERANCE || "0.2"), // above baseline p(95)
+    hitRatioTolerance: parseFloat(__ENV.SPIKE_HIT_RATIO_TOLERANCE || "0.05"), // below baseline
+    stableSeconds: parseInt(__ENV.SPIKE_STABLE_SECONDS || "5", 10), // within tolerance
+    maxRecoverySeconds: parseInt(__ENV.SPIKE_MAX_RECOVERY_SECONDS || "60", 10),
+  },
+  cacheClassifier: {
+    enabled: (__ENV.CACHE_CLASSIFIER || "on") !== "off",
+    samples: parseInt(__ENV.CLASSIFIER_SAMPLES || "20", 10), // fresh keys per endpoint
+    repeats: parseInt(__ENV.CLASSIFIER_REPEATS || "2", 10), // hit reads per key
+    minAccuracy: parseFloat(__ENV.CLASSIFIER_MIN_ACCURACY || "0.9"), // on calibration samples
+    minConfidence: parseFloat(__ENV.CLASSIFIER_MIN_CONFIDENCE || "0.8"), // testCacheHit()
+  },
+  sessions: {
+    maxSteps: parseInt(__ENV.SESSION_MAX_STEPS || "12", 10), // per journey
+    maxSearchPages: parseInt(__ENV.SESSION_MAX_SEARCH_PAGES || "3", 10),
+    searchPageSize: parseInt(__ENV.SESSION_SEARCH_PAGE_SIZE || "10", 10),
+    // Chance a product view revisits a recently viewed product
+    revisitProbability: parseFloat(__ENV.SESSION_REVISIT_PROBABILITY || "0.3"),
+    thinkTime: {
+      distribution: __ENV.SESSION_THINK_TIME || "lognormal", // constant, uniform, exponential, lognormal
+      mean: parseFloat(__ENV.SESSION_THINK_MEAN || "2"), // seconds
+      sigma: parseFloat(__ENV.SESSION_THINK_SIGMA || "0.6"), // lognormal only
+      min: parseFloat(__ENV.SESSION_THINK_MIN || "0.2"),
+      max: parseFloat(__ENV.SESSION_THINK_MAX || "10"),
+    },
+  },
+  breakpoint: {
+    // Iterations per second, climbed as a staircase of stepSeconds-long steps
+    startRate: parseInt(__ENV.BREAKPOINT_START_RATE || "10", 10),
+    rateStep: parseInt(__ENV.BREAKPOINT_RATE_STEP || "10", 10),
+    maxRate: parseInt(__ENV.BREAKPOINT_MAX_RATE || "200", 10),
+    stepSeconds: parseInt(__ENV.BREAKPOINT_STEP_SECONDS || "30", 10),
+    preAllocatedVUs: parseInt(__ENV.BREAKPOINT_PREALLOCATED_VUS || "50", 10),
+    maxVUs: parseInt(__ENV.BREAKPOINT_MAX_VUS || "500", 10),
+    slo: {
+      p95: parseInt(__ENV.BREAKPOINT_SLO_P95 || "2000", 10), // ms, per step
+      errorRate: parseFloat(__ENV.BREAKPOINT_SLO_ERROR_RATE || "0.05"), // per step
+    },
+  },
+};
+
+export const breakpointRates = rateSteps(config.breakpoint);
+
+// Seeded randomness: every random decision (keys, operation mix, counts, think
+// times, contract sampling) draws from random(), a mulberry32 stream re-seeded
+// at the start of each iteration of every scenario, samplers and probes
+// included, from the run seed, the scenario, the VU and the iteration number.
+// Running again with RANDOM_SEED set to the seed a summary prints replays the
+// same decisions; only the interleaving of VUs stays up to the scheduler.
+function hashSeed(...parts) {
+  const text = parts.join(":");
+  let hash = 2166136261; // FNV-1a
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+let runSeed =
+  __ENV.RANDOM_SEED !== undefined ? parseInt(__ENV.RANDOM_SEED, 10) : 0;
+// Until the first iteration (init code, setup) each VU draws from its own stream
+let stream = mulberry32(hashSeed(runSeed, "init", __VU));
+
+// Drop-in replacement for Math.random()
+export function random() {
+  return stream();
+}
+
+// The run seed: RANDOM_SEED, or a new one. Call it once in setup() and return
+// it as `randomSeed` so every VU and the summary get the same value.
+export function createRunSeed() {
+  const seed =
+    __ENV.RANDOM_SEED !== undefined
+      ? parseInt(__ENV.RANDOM_SEED, 10)
+      : Math.floor(Math.random() * 4294967296);
+  console.log(`🎲 Random seed: ${seed} (replay with -e RANDOM_SEED=${seed})`);
+  return seed;
+}
+
+// Re-seeds random() for the current iteration of the current VU
+export function seedIteration(seed = runSeed) {
+  runSeed = seed;
+  stream = mulberry32(
+    hashSeed(
+      seed,
+      exec.scenario.name,
+      exec.vu.idInTest,
+      exec.vu.iterationInScenario,
+    ),
+  );
+}
+
+// Prometheus series published by MeteredMemoryCache through the OpenTelemetry exporter
+// (cache.requests, cache.evictions, cache.entries, cache.estimated_size)
+export const cacheMetricNames = {
+  requests: "cache_requests_total",
+  evictions: "cache_evictions_total",
+  entries: "cache_entries",
+  estimatedSize: "cache_estimated_size_bytes",
+};
+
+// Request duration histogram from OpenTelemetry.Instrumentation.AspNetCore, labelled
+// with http_route and http_response_status_code
+export const httpServerDurationMetric = "http_server_request_duration_seconds";
+
+// .NET runtime series from OpenTelemetry.Instrumentation.Runtime, newest naming first:
+// the System.Runtime meter on .NET 9+, then the instrumentation's own meter
+export const runtimeMetricNames = {
+  gcHeap: [
+    "dotnet_gc_last_collection_heap_size_bytes",
+    "process_runtime_dotnet_gc_heap_size_bytes",
+  ],
+  workingSet: [
+    "dotnet_process_memory_working_set_bytes",
+    "process_memory_usage_bytes",
+  ],
 };
 
 // HTTP request options
@@ -54,268 +259,659 @@ export const httpOptions = {
   timeout: "30s",
 };
 
+// Stable endpoint names used as the `endpoint` tag, with the URL group used as the
+// `name` tag (one series per route instead of per id) and the named cache the
+// endpoint reads through
+export const endpoints = {
+  "users.get": { name: "/api/users/{id}", cacheName: "user-profiles" },
+  "users.batch": { name: "/api/users?ids", cacheName: "user-profiles" },
+  "users.update": { name: "/api/users/{id} (PUT)", cacheName: "user-profiles" },
+  "products.get": { name: "/api/products/{id}", cacheName: "product-catalog" },
+  "products.category": {
+    name: "/api/products/category/{id}",
+    cacheName: "product-catalog",
+  },
+  "products.search": {
+    name: "/api/products/search",
+    cacheName: "product-catalog",
+  },
+  // Spike recovery probe lookups, kept out of the users.get budget
+  "spike.probe": {
+    name: "/api/users/{id} (spike probe)",
+    cacheName: "user-profiles",
+  },
+  "cache.stats": { name: "/api/cache/stats" },
+  "cache.clear": { name: "/api/cache/{name}" },
+  health: { name: "/health" },
+  metrics: { name: "/metrics" },
+};
+
+// Tags for a request to `endpoint`; cache.clear passes the cache it targets
+export function endpointTags(endpoint, cacheName) {
+  const definition = endpoints[endpoint];
+  const tags = { endpoint, name: definition.name };
+  const owner = cacheName !== undefined ? cacheName : definition.cacheName;
+  if (owner !== undefined) {
+    tags.cache_name = owner;
+  }
+  return tags;
+}
+
+// p(95) latency budgets in ms per endpoint, scaled by endpointThresholds()
+export const endpointBudgets = {
+  "users.get": 500,
+  "users.batch": 1000,
+  "users.update": 1000,
+  "products.get": 500,
+  "products.category": 1000,
+  "products.search": 1000,
+  "cache.stats": 200,
+  "cache.clear": 500,
+  health: 100,
+  metrics: 500,
+};
+
+// Builds http_req_duration{endpoint:...} thresholds from endpointBudgets, scaled
+// for profiles that tolerate degradation and with per-endpoint overrides in ms
+export function endpointThresholds(scale = 1, overrides = {}) {
+  const result = {};
+  Object.keys(endpointBudgets).forEach((endpoint) => {
+    const budget =
+      overrides[endpoint] !== undefined
+        ? overrides[endpoint]
+        : endpointBudgets[endpoint] * scale;
+    result[`http_req_duration{endpoint:${endpoint}}`] = [`p(95)<${budget}`];
+  });
+  return result;
+}
+
+// Records the client-side request metrics, tagged like the request
+function recordRequest(response, success, tags) {
+  responseTime.add(response.timings.duration, tags);
+  requestCount.add(1, tags);
+  errorRate.add(!success, tags);
+}
+
+// Latency model used by recordCacheOutcome(); each VU receives it from setup()
+// data through startIteration()
+let latencyModel;
+
+// Start of every iteration of the load tests and their background scenarios:
+// applies the run seed and latency model that setup() returned as `randomSeed`
+// and `latencyModel`
+export function startIteration(data) {
+  seedIteration(data.randomSeed);
+  latencyModel = data.latencyModel;
+}
+
+// Calibration reads go around the request helpers, so their deliberate misses stay
+// out of the checks, response_time, error_rate and the endpoint-tagged series
+function calibrationReader(endpoint, path) {
+  return (id) =>
+    http.get(`${config.baseUrl}${path(id)}`, {
+      ...httpOptions,
+      tags: { name: `classifier calibration ${endpoint}` },
+    });
+}
+
+// Calibrates the hit/miss latency classifier on the id lookups; call it from
+// setup() before taking the server-side baseline, so the calibration traffic
+// stays out of the deltas, and return it as `latencyModel`. Returns undefined
+// when CACHE_CLASSIFIER=off.
+export function calibrateCacheClassifier() {
+  if (!config.cacheClassifier.enabled) {
+    return undefined;
+  }
+  const model = calibrateLatencyModel(
+    {
+      "users.get": calibrationReader("users.get", (id) => `/api/users/${id}`),
+      "products.get": calibrationReader(
+        "products.get",
+        (id) => `/api/products/${id}`,
+      ),
+    },
+    {
+      ...config.cacheClassifier,
+      // Fresh keys per run so the forced misses cannot hit earlier entries
+      keyBase: 4000000 + (Math.floor(Date.now() / 1000) % 100000) * 10000,
+    },
+  );
+  console.log("🔬 Cache latency classifier:");
+  formatLatencyModel(model).forEach((line) => console.log(`   ${line}`));
+  return model;
+}
+
+// Feeds cache_hit_rate/cache_miss_rate with the inferred outcome of a successful
+// response; nothing is recorded without a calibrated model
+function recordCacheOutcome(response, tags) {
+  if (response.status !== 200) {
+    return;
+  }
+  const outcome = classifyLatency(
+    latencyModel,
+    tags.endpoint,
+    response.timings.duration,
+  );
+  if (!outcome) {
+    return;
+  }
+  cacheHitRate.add(outcome.hit, tags);
+  cacheMissRate.add(!outcome.hit, tags);
+  cacheClassificationConfidence.add(outcome.confidence, {
+    ...tags,
+    outcome: outcome.hit ? "hit" : "miss",
+  });
+}
+
+// Key selection follows config.keyDistribution; each VU keeps its own sampler
+// per key range so sequential scans start at a VU-specific offset
+function keyDistributionFor(keys) {
+  return createKeyDistribution(
+    {
+      ...config.keyDistribution,
+      size: keys.length,
+      start: __VU,
+    },
+    random,
+  );
+}
+
+const keyDistributions = {
+  users: keyDistributionFor(config.testData.userIds),
+  products: keyDistributionFor(config.testData.productIds),
+  categories: keyDistributionFor(config.testData.categoryIds),
+  searchQueries: keyDistributionFor(config.testData.searchQueries),
+};
+
+export function describeKeyDistribution() {
+  return describeDistribution(keyDistributions.users);
+}
+
 // Utility functions
 export function getRandomUserId() {
-  return config.testData.userIds[
-    Math.floor(Math.random() * config.testData.userIds.length)
-  ];
+  return pickKey(config.testData.userIds, keyDistributions.users);
 }
 
 export function getRandomProductId() {
-  return config.testData.productIds[
-    Math.floor(Math.random() * config.testData.productIds.length)
-  ];
+  return pickKey(config.testData.productIds, keyDistributions.products);
 }
 
 export function getRandomCategoryId() {
-  return config.testData.categoryIds[
-    Math.floor(Math.random() * config.testData.categoryIds.length)
-  ];
+  return pickKey(config.testData.categoryIds, keyDistributions.categories);
 }
 
 export function getRandomSearchQuery() {
-  return config.testData.searchQueries[
-    Math.floor(Math.random() * config.testData.searchQueries.length)
-  ];
+  return pickKey(config.testData.searchQueries, keyDistributions.searchQueries);
 }
 
+// Cache administration targets stay uniform, they are not a key popularity question
 export function getRandomCacheName() {
   return config.testData.cacheNames[
-    Math.floor(Math.random() * config.testData.cacheNames.length)
+    Math.floor(random() * config.testData.cacheNames.length)
   ];
 }
 
+const validateContract = createContractValidator({
+  ...config.contracts,
+  random,
+});
+const reportedViolations = {};
+
+// Validates a successful response body against its DTO contract when sampled,
+// logging the first violation of each contract per VU
+function checkContract(response, contract) {
+  if (response.status !== 200) {
+    return;
+  }
+  const violations = validateContract(response, contract);
+  if (violations === null) {
+    return;
+  }
+
+  contractViolationRate.add(violations.length > 0, { contract });
+  if (violations.length > 0 && !reportedViolations[contract]) {
+    reportedViolations[contract] = true;
+    console.log(
+      `❌ ${contract} contract violated by ${response.url}: ${violations.slice(0, 3).join("; ")}`,
+    );
+  }
+}
+
 // API endpoint functions
 export function getUser(userId) {
-  const response = http.get(
-    `${config.baseUrl}/api/users/${userId}`,
-    httpOptions,
-  );
-
-  const success = check(response, {
-    "user request successful": (r) => r.status === 200,
-    "user response time < 500ms": (r) => r.timings.duration < 500,
-    "user response has valid JSON": (r) => r.json("id") === userId,
+  const tags = endpointTags("users.get");
+  const response = http.get(`${config.baseUrl}/api/users/${userId}`, {
+    ...httpOptions,
+    tags,
   });
 
-  responseTime.add(response.timings.duration);
-  requestCount.add(1);
-  errorRate.add(!success);
+  const success = check(
+    response,
+    {
+      "user request successful": (r) => r.status === 200,
+      "user response time < 500ms": (r) => r.timings.duration < 500,
+      "user response has valid JSON": (r) => r.json("id") === userId,
+    },
+    tags,
+  );
+
+  checkContract(response, "user");
+  recordRequest(response, success, tags);
+  recordCacheOutcome(response, tags);
 
   return response;
 }
 
 export function getProduct(productId) {
-  const response = http.get(
-    `${config.baseUrl}/api/products/${productId}`,
-    httpOptions,
-  );
-
-  const success = check(response, {
-    "product request successful": (r) => r.status === 200,
-    "product response time < 500ms": (r) => r.timings.duration < 500,
-    "product response has valid JSON": (r) => r.json("id") === productId,
+  const tags = endpointTags("products.get");
+  const response = http.get(`${config.baseUrl}/api/products/${productId}`, {
+    ...httpOptions,
+    tags,
   });
 
-  responseTime.add(response.timings.duration);
-  requestCount.add(1);
-  errorRate.add(!success);
+  const success = check(
+    response,
+    {
+      "product request successful": (r) => r.status === 200,
+      "product response time < 500ms": (r) => r.timings.duration < 500,
+      "product response has valid JSON": (r) => r.json("id") === productId,
+    },
+    tags,
+  );
+
+  checkContract(response, "product");
+  recordRequest(response, success, tags);
+  recordCacheOutcome(response, tags);
 
   return response;
 }
 
 export function getProductsByCategory(categoryId) {
+  const tags = endpointTags("products.category");
   const response = http.get(
     `${config.baseUrl}/api/products/category/${categoryId}`,
-    httpOptions,
+    { ...httpOptions, tags },
   );
 
-  const success = check(response, {
-    "category request successful": (r) => r.status === 200,
-    "category response time < 1000ms": (r) => r.timings.duration < 1000,
-    "category response is array": (r) => Array.isArray(r.json()),
-  });
+  const success = check(
+    response,
+    {
+      "category request successful": (r) => r.status === 200,
+      "category response time < 1000ms": (r) => r.timings.duration < 1000,
+      "category response is array": (r) => Array.isArray(r.json()),
+    },
+    tags,
+  );
 
-  responseTime.add(response.timings.duration);
-  requestCount.add(1);
-  errorRate.add(!success);
+  checkContract(response, "products");
+  recordRequest(response, success, tags);
 
   return response;
 }
 
 export function searchProducts(query, page = 1, pageSize = 10) {
+  const tags = endpointTags("products.search");
   const response = http.get(
     `${config.baseUrl}/api/products/search?query=${query}&page=${page}&pageSize=${pageSize}`,
-    httpOptions,
+    { ...httpOptions, tags },
   );
 
-  const success = check(response, {
-    "search request successful": (r) => r.status === 200,
-    "search response time < 1000ms": (r) => r.timings.duration < 1000,
-    "search response is array": (r) => Array.isArray(r.json()),
-  });
+  const success = check(
+    response,
+    {
+      "search request successful": (r) => r.status === 200,
+      "search response time < 1000ms": (r) => r.timings.duration < 1000,
+      "search response is array": (r) => Array.isArray(r.json()),
+    },
+    tags,
+  );
 
-  responseTime.add(response.timings.duration);
-  requestCount.add(1);
-  errorRate.add(!success);
+  checkContract(response, "products");
+  recordRequest(response, success, tags);
 
   return response;
 }
 
 export function getUsers(ids) {
+  const tags = endpointTags("users.batch");
   const idsParam = ids.map((id) => `ids=${id}`).join("&");
-  const response = http.get(
-    `${config.baseUrl}/api/users?${idsParam}`,
-    httpOptions,
-  );
-
-  const success = check(response, {
-    "batch users request successful": (r) => r.status === 200,
-    "batch users response time < 1000ms": (r) => r.timings.duration < 1000,
-    "batch users response is array": (r) => Array.isArray(r.json()),
+  const response = http.get(`${config.baseUrl}/api/users?${idsParam}`, {
+    ...httpOptions,
+    tags,
   });
 
-  responseTime.add(response.timings.duration);
-  requestCount.add(1);
-  errorRate.add(!success);
+  const success = check(
+    response,
+    {
+      "batch users request successful": (r) => r.status === 200,
+      "batch users response time < 1000ms": (r) => r.timings.duration < 1000,
+      "batch users response is array": (r) => Array.isArray(r.json()),
+    },
+    tags,
+  );
+
+  checkContract(response, "users");
+  recordRequest(response, success, tags);
 
   return response;
 }
 
 export function updateUser(userId, userData) {
+  const tags = endpointTags("users.update");
   const response = http.put(
     `${config.baseUrl}/api/users/${userId}`,
     JSON.stringify(userData),
-    httpOptions,
+    { ...httpOptions, tags },
   );
 
-  const success = check(response, {
-    "update user request successful": (r) => r.status === 204,
-    "update user response time < 1000ms": (r) => r.timings.duration < 1000,
-  });
+  const success = check(
+    response,
+    {
+      "update user request successful": (r) => r.status === 204,
+      "update user response time < 1000ms": (r) => r.timings.duration < 1000,
+    },
+    tags,
+  );
 
-  responseTime.add(response.timings.duration);
-  requestCount.add(1);
-  errorRate.add(!success);
+  recordRequest(response, success, tags);
 
   return response;
 }
 
 export function getCacheStats() {
-  const response = http.get(`${config.baseUrl}/api/cache/stats`, httpOptions);
-
-  const success = check(response, {
-    "cache stats request successful": (r) => r.status === 200,
-    "cache stats response time < 200ms": (r) => r.timings.duration < 200,
-    "cache stats response has caches": (r) => r.json("caches") !== undefined,
+  const tags = endpointTags("cache.stats");
+  const response = http.get(`${config.baseUrl}/api/cache/stats`, {
+    ...httpOptions,
+    tags,
   });
 
-  responseTime.add(response.timings.duration);
-  requestCount.add(1);
-  errorRate.add(!success);
+  const success = check(
+    response,
+    {
+      "cache stats request successful": (r) => r.status === 200,
+      "cache stats response time < 200ms": (r) => r.timings.duration < 200,
+      "cache stats response has caches": (r) => r.json("caches") !== undefined,
+    },
+    tags,
+  );
+
+  checkContract(response, "cacheStats");
+  recordRequest(response, success, tags);
 
   return response;
 }
 
 export function clearCache(cacheName) {
-  const response = http.del(
-    `${config.baseUrl}/api/cache/${cacheName}`,
-    null,
-    httpOptions,
-  );
-
-  const success = check(response, {
-    "clear cache request successful": (r) => r.status === 204,
-    "clear cache response time < 500ms": (r) => r.timings.duration < 500,
+  const tags = endpointTags("cache.clear", cacheName);
+  const response = http.del(`${config.baseUrl}/api/cache/${cacheName}`, null, {
+    ...httpOptions,
+    tags,
   });
 
-  responseTime.add(response.timings.duration);
-  requestCount.add(1);
-  errorRate.add(!success);
+  const success = check(
+    response,
+    {
+      "clear cache request successful": (r) => r.status === 204,
+      "clear cache response time < 500ms": (r) => r.timings.duration < 500,
+    },
+    tags,
+  );
+
+  recordRequest(response, success, tags);
 
   return response;
 }
 
 export function getHealth() {
-  const response = http.get(`${config.baseUrl}/health`, httpOptions);
-
-  const success = check(response, {
-    "health check successful": (r) => r.status === 200,
-    "health check response time < 100ms": (r) => r.timings.duration < 100,
+  const tags = endpointTags("health");
+  const response = http.get(`${config.baseUrl}/health`, {
+    ...httpOptions,
+    tags,
   });
 
-  responseTime.add(response.timings.duration);
-  requestCount.add(1);
-  errorRate.add(!success);
+  const success = check(
+    response,
+    {
+      "health check successful": (r) => r.status === 200,
+      "health check response time < 100ms": (r) => r.timings.duration < 100,
+    },
+    tags,
+  );
+
+  recordRequest(response, success, tags);
 
   return response;
 }
 
-export function getMetrics() {
+// Fetches and parses /metrics without recording checks or client-side metrics,
+// so background sampling does not skew the measured workload
+export function scrapeMetrics(tags = {}) {
   const response = http.get(`${config.baseUrl}/metrics`, {
     headers: { Accept: "text/plain" },
+    tags: { ...endpointTags("metrics"), ...tags },
   });
 
-  const success = check(response, {
-    "metrics request successful": (r) => r.status === 200,
-    "metrics response time < 500ms": (r) => r.timings.duration < 500,
-    "metrics response contains cache metrics": (r) =>
-      r.body.includes("cache_hits_total") ||
-      r.body.includes("cache_misses_total"),
+  let metrics = parsePrometheusText("");
+  let parseError = null;
+  if (response.status === 200) {
+    try {
+      metrics = parsePrometheusText(response.body);
+    } catch (e) {
+      parseError = e;
+    }
+  }
+
+  return { response, metrics, parseError };
+}
+
+// Fetches /api/cache/stats without recording checks or client-side metrics.
+// `stats` is the parsed CacheStatsDto, or null when unavailable.
+export function fetchCacheStats(tags = {}) {
+  const response = http.get(`${config.baseUrl}/api/cache/stats`, {
+    ...httpOptions,
+    tags,
   });
 
-  responseTime.add(response.timings.duration);
-  requestCount.add(1);
-  errorRate.add(!success);
+  let stats = null;
+  if (response.status === 200) {
+    try {
+      stats = response.json();
+    } catch (e) {
+      stats = null;
+    }
+  }
 
-  return response;
+  return { response, stats };
+}
+
+export function getMetrics() {
+  const tags = endpointTags("metrics");
+  const { response, metrics, parseError } = scrapeMetrics();
+
+  const success = check(
+    response,
+    {
+      "metrics request successful": (r) => r.status === 200,
+      "metrics response time < 500ms": (r) => r.timings.duration < 500,
+      "metrics response is valid Prometheus text": () => parseError === null,
+      "metrics response contains cache request series": () =>
+        metrics.families[cacheMetricNames.requests] !== undefined &&
+        metrics.families[cacheMetricNames.requests].samples.length > 0,
+    },
+    tags,
+  );
+
+  if (parseError) {
+    console.log(`❌ Failed to parse /metrics payload: ${parseError.message}`);
+  }
+
+  recordRequest(response, success, tags);
+
+  return { response, metrics };
+}
+
+// Reads the MeteredMemoryCache series for a single named cache from parsed metrics
+export function getCacheMetrics(metrics, cacheName) {
+  const byName = { cache_name: cacheName };
+
+  return {
+    hits: sumSamples(metrics, cacheMetricNames.requests, {
+      ...byName,
+      cache_request_type: "hit",
+    }),
+    misses: sumSamples(metrics, cacheMetricNames.requests, {
+      ...byName,
+      cache_request_type: "miss",
+    }),
+    evictions: sumSamples(metrics, cacheMetricNames.evictions, byName),
+    entries: sampleValue(metrics, cacheMetricNames.entries, byName),
+    estimatedSize: sampleValue(metrics, cacheMetricNames.estimatedSize, byName),
+  };
+}
+
+// Reads GC heap and working set bytes, undefined when the runtime series are absent
+export function getRuntimeMetrics(metrics) {
+  const firstPresent = (names) => {
+    const name = names.find((n) => metrics.families[n] !== undefined);
+    return name !== undefined ? sumSamples(metrics, name) : undefined;
+  };
+
+  return {
+    gcHeap: firstPresent(runtimeMetricNames.gcHeap),
+    workingSet: firstPresent(runtimeMetricNames.workingSet),
+  };
+}
+
+// Returns the cache names that currently publish request series
+export function getReportedCacheNames(metrics) {
+  const names = new Set();
+  const family = metrics.families[cacheMetricNames.requests];
+  if (family) {
+    family.samples.forEach((sample) => {
+      if (sample.labels.cache_name !== undefined) {
+        names.add(sample.labels.cache_name);
+      }
+    });
+  }
+  return [...names];
+}
+
+// Logs the current hit/miss/eviction/entry series for every reported cache
+export function logCacheMetrics(metrics) {
+  getReportedCacheNames(metrics).forEach((name) => {
+    const cacheMetrics = getCacheMetrics(metrics, name);
+    const entries =
+      cacheMetrics.entries !== undefined ? cacheMetrics.entries : "n/a";
+    console.log(
+      `   ${name}: ${cacheMetrics.hits} hits, ${cacheMetrics.misses} misses, ${cacheMetrics.evictions} evictions, ${entries} entries`,
+    );
+  });
 }
 
 // Cache performance testing functions
 export function testCacheHit(userId) {
   // First request - should be cache miss
   const response1 = getUser(userId);
-  cacheMissRate.add(1);
 
   // Small delay to ensure cache is populated
   sleep(0.1);
 
   // Second request - should be cache hit
   const response2 = getUser(userId);
-  cacheHitRate.add(1);
 
-  // Verify cache hit is faster
-  const cacheHitFaster = check(response2, {
-    "cache hit is faster than miss": (r) =>
-      r.timings.duration < response1.timings.duration,
-  });
+  // The second read is classified on its own rather than compared with the first,
+  // which may already have been a hit; unchecked without a calibrated model
+  const outcome =
+    response2.status === 200
+      ? classifyLatency(latencyModel, "users.get", response2.timings.duration)
+      : null;
+  if (outcome !== null) {
+    check(outcome, {
+      "second read is inferred as a cache hit": (o) => o.hit,
+      "cache hit inference is confident": (o) =>
+        o.confidence >= config.cacheClassifier.minConfidence,
+    });
+  }
 
   cacheResponseTime.add(response2.timings.duration);
   apiResponseTime.add(response1.timings.duration);
 
-  return { miss: response1, hit: response2, cacheHitFaster };
+  return { miss: response1, hit: response2, outcome };
 }
 
-export function testCacheInvalidation(userId) {
-  // Get user to populate cache
-  const response1 = getUser(userId);
-  cacheMissRate.add(1);
+function userFields(response) {
+  if (response.status !== 200) {
+    return null;
+  }
+  try {
+    return { name: response.json("name"), email: response.json("email") };
+  } catch (e) {
+    return null;
+  }
+}
 
-  // Update user to invalidate cache
-  const updateData = {
-    name: `Updated User ${userId}`,
-    email: `updated${userId}@example.com`,
+// Writes unique data, waits `delay` seconds and reads it back. A read is stale when
+// it still returns the pre-update value; a third value means a concurrent writer
+// won the race and is not counted either way.
+function verifyReadAfterWrite(userId, previous, delay) {
+  const stamp = `${__VU}-${__ITER}-${Date.now()}`;
+  const written = {
+    name: `Updated User ${userId} ${stamp}`,
+    email: `updated${userId}.${stamp}@example.com`,
   };
-  const updateResponse = updateUser(userId, updateData);
+  const update = updateUser(userId, written);
+
+  if (delay > 0) {
+    sleep(delay);
+  }
+
+  const after = getUser(userId);
+
+  const read = userFields(after);
+  const reflectsWrite =
+    read !== null && read.name === written.name && read.email === written.email;
+  const stale =
+    update.status === 204 &&
+    read !== null &&
+    !reflectsWrite &&
+    previous !== null &&
+    read.name === previous.name &&
+    read.email === previous.email;
+
+  if (update.status === 204 && read !== null) {
+    staleReadRate.add(stale, { delay: String(delay) });
+  }
+
+  check(after, {
+    [`read after write reflects update (delay ${delay}s)`]: () => reflectsWrite,
+  });
 
-  // Small delay to ensure cache invalidation
-  sleep(0.1);
+  return { delay, update, after, reflectsWrite, stale };
+}
 
-  // Get user again - should be cache miss due to invalidation
-  const response2 = getUser(userId);
-  cacheMissRate.add(1);
+export function testCacheInvalidation(
+  userId,
+  delays = config.invalidation.delays,
+) {
+  // Get user to populate cache
+  const response1 = getUser(userId);
+
+  // Update and re-read once per delay, the previous read is the stale candidate
+  let previous = userFields(response1);
+  const reads = delays.map((delay) => {
+    const result = verifyReadAfterWrite(userId, previous, delay);
+    previous = userFields(result.after);
+    return result;
+  });
 
-  return { before: response1, update: updateResponse, after: response2 };
+  const last = reads[reads.length - 1];
+  return {
+    before: response1,
+    update: last.update,
+    after: last.after,
+    reads,
+    stale: reads.some((r) => r.stale),
+  };
 }
 
 // Performance thresholds
@@ -328,8 +924,18 @@ export const thresholds = {
   error_rate: ["rate<0.05"], // Error rate must be below 5%
   cache_hit_rate: ["rate>0.8"], // Cache hit rate should be above 80%
   cache_miss_rate: ["rate<0.2"], // Cache miss rate should be below 20%
+  stale_read_rate: ["rate<0.01"], // Reads after an update must reflect the write
+  contract_violation_rate: ["rate==0"], // Every validated body must match its DTO
 };
 
+// Spike test phases, each run as its own scenario by phaseScenarios() in k6-phases.js
+export const spikePhases = [
+  { name: "warmup", seconds: 60, startVUs: 1, target: 10 },
+  { name: "spike", seconds: 60, startVUs: 10, target: 50 },
+  { name: "recovery", seconds: 60, startVUs: 50, target: 10 },
+  { name: "cooldown", seconds: 60, startVUs: 10, target: 0 },
+];
+
 // Test scenarios
 export const scenarios = {
   smoke: {
@@ -360,28 +966,15 @@ export const scenarios = {
     duration: "30m",
     tags: { test_type: "soak" },
   },
-  spike: {
-    executor: "ramping-vus",
-    startVUs: 1,
-    stages: [
-      { duration: "1m", target: 10 },
-      { duration: "1m", target: 50 },
-      { duration: "1m", target: 10 },
-      { duration: "1m", target: 0 },
-    ],
-    tags: { test_type: "spike" },
-  },
+  // Open model: iterations arrive at the target rate whether or not the system
+  // keeps up, so saturation shows as latency and dropped iterations
   breakpoint: {
-    executor: "ramping-vus",
-    startVUs: 1,
-    stages: [
-      { duration: "2m", target: 10 },
-      { duration: "2m", target: 20 },
-      { duration: "2m", target: 30 },
-      { duration: "2m", target: 40 },
-      { duration: "2m", target: 50 },
-      { duration: "2m", target: 0 },
-    ],
+    executor: "ramping-arrival-rate",
+    startRate: breakpointRates[0],
+    timeUnit: "1s",
+    preAllocatedVUs: config.breakpoint.preAllocatedVUs,
+    maxVUs: config.breakpoint.maxVUs,
+    stages: arrivalRateStages(breakpointRates, config.breakpoint.stepSeconds),
     tags: { test_type: "breakpoint" },
   },
 };
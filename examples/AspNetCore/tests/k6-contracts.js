@@ -0,0 +1,153 @@
+// Response Contracts for k6 Tests
+// JSON schemas for the example app's DTOs and a small validator for the subset of
+// JSON Schema they use, so malformed (e.g. badly cached or re-serialized) bodies
+// are caught under load rather than only by the id/array spot checks
+//
+// Supported keywords: type, required, properties, items, minimum, minLength,
+// format ("date-time")
+
+// ISO 8601 as written by System.Text.Json for DateTime (fraction and offset optional)
+const dateTimePattern =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/;
+
+const userDto = {
+  type: "object",
+  required: ["id", "name", "email", "createdAt"],
+  properties: {
+    id: { type: "integer", minimum: 1 },
+    name: { type: "string", minLength: 1 },
+    email: { type: "string", minLength: 1 },
+    createdAt: { type: "string", format: "date-time" },
+  },
+};
+
+const productDto = {
+  type: "object",
+  required: ["id", "name", "price", "categoryId", "description"],
+  properties: {
+    id: { type: "integer", minimum: 1 },
+    name: { type: "string", minLength: 1 },
+    price: { type: "number", minimum: 0 },
+    categoryId: { type: "integer", minimum: 1 },
+    description: { type: "string" },
+  },
+};
+
+const cacheInfoDto = {
+  type: "object",
+  required: ["name", "estimatedSize", "maxSize"],
+  properties: {
+    name: { type: "string", minLength: 1 },
+    estimatedSize: { type: "integer", minimum: 0 },
+    maxSize: { type: "integer", minimum: 0 },
+  },
+};
+
+const cacheStatsDto = {
+  type: "object",
+  required: ["caches", "timestamp"],
+  properties: {
+    caches: { type: "array", items: cacheInfoDto },
+    timestamp: { type: "string", format: "date-time" },
+  },
+};
+
+// Contracts by name, as used for the `contract` tag on contract_violation_rate
+export const contracts = {
+  user: userDto,
+  users: { type: "array", items: userDto },
+  product: productDto,
+  products: { type: "array", items: productDto },
+  cacheStats: cacheStatsDto,
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+// Returns a list of "<path>: <problem>" messages, empty when the value conforms
+export function validateSchema(value, schema, path = "$") {
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path}: expected ${schema.type}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path}: ${value} is below ${schema.minimum}`);
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${path}: shorter than ${schema.minLength}`);
+  }
+  if (schema.format === "date-time" && !dateTimePattern.test(value)) {
+    errors.push(`${path}: '${value}' is not a date-time`);
+  }
+
+  if (schema.type === "object") {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: missing`);
+      }
+    });
+    Object.keys(schema.properties || {}).forEach((key) => {
+      if (value[key] !== undefined) {
+        errors.push(
+          ...validateSchema(
+            value[key],
+            schema.properties[key],
+            `${path}.${key}`,
+          ),
+        );
+      }
+    });
+  }
+
+  if (schema.type === "array" && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+// Creates a response validator from { mode, sampleRate, random }:
+//   off      never validates
+//   sampled  validates a `sampleRate` share of responses (default)
+//   full     validates every response
+// The validator returns the violations, or null when the response was not sampled.
+export function createContractValidator({
+  mode = "sampled",
+  sampleRate = 0.1,
+  random = Math.random,
+}) {
+  if (mode !== "off" && mode !== "sampled" && mode !== "full") {
+    throw new Error(`Unknown contract validation mode '${mode}'`);
+  }
+
+  return function (response, contract) {
+    if (mode === "off" || (mode === "sampled" && random() >= sampleRate)) {
+      return null;
+    }
+
+    const schema = contracts[contract];
+    if (!schema) {
+      throw new Error(`Unknown contract '${contract}'`);
+    }
+
+    let body;
+    try {
+      body = JSON.parse(response.body);
+    } catch (e) {
+      return ["$: body is not valid JSON"];
+    }
+    return validateSchema(body, schema);
+  };
+}
@@ -0,0 +1,219 @@
+// k6 Eviction Pressure Tests for ASP.NET Core MeteredMemoryCache Example
+// These tests walk a large key space to push the named caches past their size limit
+// and verify that evictions are emitted while the entry count stays bounded
+// Run with: k6 run k6-eviction-tests.js
+
+import { check } from "k6";
+import exec from "k6/execution";
+import { Trend } from "k6/metrics";
+import {
+  config,
+  cacheEvictionRate,
+  getHealth,
+  getUser,
+  getProduct,
+  getProductsByCategory,
+  searchProducts,
+  scrapeMetrics,
+  getCacheMetrics,
+} from "./k6-config.js";
+import { createSummaryHandler, summaryTrendStats } from "./k6-reporting.js";
+
+// Server-reported evictions per second between samples, tagged with cache_name
+const cacheEvictionsPerSecond = new Trend("cache_evictions_per_second");
+// Server-reported cache_entries at each sample, tagged with cache_name
+const serverCacheEntries = new Trend("server_cache_entries");
+
+const eviction = {
+  keySpace: parseInt(__ENV.EVICTION_KEY_SPACE || "5000", 10),
+  rate: parseInt(__ENV.EVICTION_RATE || "50", 10),
+  duration: __ENV.EVICTION_DURATION || "5m",
+  // Upper bound for cache_entries: the SizeLimit src/Program.cs registers a cache
+  // with divided by the smallest entry Size it stores, 1000 for both caches
+  maxEntries: parseInt(__ENV.EVICTION_MAX_ENTRIES || "1000", 10),
+  sampleIntervalSeconds: parseInt(__ENV.EVICTION_SAMPLE_INTERVAL || "5", 10),
+};
+
+const pressuredCaches = ["user-profiles", "product-catalog"];
+
+function evictionThresholds() {
+  const result = {
+    // The teardown checks compare the final scrape with the setup baseline
+    "checks{check_type:eviction}": ["rate==1"],
+  };
+  pressuredCaches.forEach((name) => {
+    result[`cache_evictions_per_second{cache_name:${name}}`] = ["max>0"];
+    result[`server_cache_entries{cache_name:${name}}`] = [
+      `max<=${eviction.maxEntries}`,
+    ];
+  });
+  return result;
+}
+
+export let options = {
+  scenarios: {
+    evictionPressure: {
+      executor: "constant-arrival-rate",
+      rate: eviction.rate,
+      timeUnit: "1s",
+      duration: eviction.duration,
+      preAllocatedVUs: 20,
+      maxVUs: 100,
+      tags: { test_type: "eviction" },
+    },
+    evictionSampler: {
+      executor: "constant-arrival-rate",
+      rate: 1,
+      timeUnit: `${eviction.sampleIntervalSeconds}s`,
+      duration: eviction.duration,
+      preAllocatedVUs: 1,
+      maxVUs: 1,
+      exec: "sampleEvictions",
+      tags: { test_type: "eviction_sampler" },
+    },
+  },
+  summaryTrendStats,
+  thresholds: {
+    http_req_failed: ["rate<0.05"],
+    error_rate: ["rate<0.1"],
+    ...evictionThresholds(),
+  },
+};
+
+function snapshot() {
+  const { response, metrics } = scrapeMetrics({ name: "eviction_sampler" });
+  if (response.status !== 200) {
+    return null;
+  }
+
+  const result = { timestamp: Date.now(), caches: {} };
+  pressuredCaches.forEach((name) => {
+    result.caches[name] = getCacheMetrics(metrics, name);
+  });
+  return result;
+}
+
+export function setup() {
+  console.log(
+    "🚀 Starting k6 Eviction Pressure Tests for ASP.NET Core MeteredMemoryCache",
+  );
+  console.log(`📍 Base URL: ${config.baseUrl}`);
+  console.log(
+    `🔑 Walking ${eviction.keySpace} keys at ${eviction.rate} iterations/s for ${eviction.duration}`,
+  );
+  console.log(
+    `📏 Asserting evictions and at most ${eviction.maxEntries} entries per cache`,
+  );
+
+  const healthResponse = getHealth();
+  if (healthResponse.status !== 200) {
+    throw new Error(
+      `Application health check failed: ${healthResponse.status}`,
+    );
+  }
+
+  console.log("✅ Application is healthy and ready for eviction testing");
+  return { startTime: new Date().toISOString(), baseline: snapshot() };
+}
+
+export default function () {
+  // Sequential walk over the key space maximises distinct entries per cache
+  const key = exec.scenario.iterationInTest % eviction.keySpace;
+
+  // product-catalog: products (Size=2), category lists (Size=10), search (Size=5)
+  getProduct(100000 + key);
+  getProductsByCategory(key + 1);
+  searchProducts(
+    config.testData.searchQueries[key % config.testData.searchQueries.length],
+    Math.floor(key / config.testData.searchQueries.length) + 1,
+    10,
+  );
+
+  // user-profiles: users (Size=1)
+  getUser(100000 + key);
+}
+
+let previousSample = null;
+
+// Sampler scenario: derives the eviction rate and entry count between scrapes
+export function sampleEvictions(data) {
+  const current = snapshot();
+  if (!current) {
+    return;
+  }
+
+  const previous = previousSample || data.baseline;
+  previousSample = current;
+  if (!previous) {
+    return;
+  }
+
+  const elapsedSeconds = (current.timestamp - previous.timestamp) / 1000;
+
+  pressuredCaches.forEach((name) => {
+    const tags = { cache_name: name };
+    const now = current.caches[name];
+    const before = previous.caches[name];
+
+    if (now.entries !== undefined) {
+      serverCacheEntries.add(now.entries, tags);
+    }
+
+    const evictions = Math.max(0, now.evictions - before.evictions);
+    const inserts = Math.max(0, now.misses - before.misses);
+    if (elapsedSeconds > 0) {
+      cacheEvictionsPerSecond.add(evictions / elapsedSeconds, tags);
+    }
+
+    // Fraction of inserts (misses that repopulate) that displaced an entry
+    for (let i = 0; i < inserts; i++) {
+      cacheEvictionRate.add(i < evictions, tags);
+    }
+  });
+}
+
+export function teardown(data) {
+  console.log("🏁 Eviction pressure tests completed");
+
+  const final = snapshot();
+  if (!final || !data.baseline) {
+    console.log("❌ Unable to scrape /metrics for the eviction summary");
+    check(
+      final,
+      { "eviction summary scraped /metrics": () => false },
+      { check_type: "eviction" },
+    );
+    return;
+  }
+
+  console.log("📉 Eviction summary since setup:");
+  pressuredCaches.forEach((name) => {
+    const before = data.baseline.caches[name];
+    const after = final.caches[name];
+    const evictions = after.evictions - before.evictions;
+    const entries = after.entries !== undefined ? after.entries : 0;
+
+    check(
+      after,
+      {
+        [`${name} evictions grew under pressure`]: () => evictions > 0,
+        [`${name} entries stayed bounded`]: () =>
+          entries <= eviction.maxEntries,
+      },
+      { check_type: "eviction" },
+    );
+
+    console.log(
+      `   ${name}: ${evictions} evictions, ${entries} entries (bound ${eviction.maxEntries})`,
+    );
+  });
+
+  console.log("🔍 Eviction test analysis recommendations:");
+  console.log(
+    "   - Evictions only occur once EVICTION_KEY_SPACE outgrows the SizeLimit set in src/Program.cs",
+  );
+  console.log("   - Compare cache_evictions_per_second with the request rate");
+  console.log("   - Check that cache_entries plateaus instead of growing");
+}
+
+export const handleSummary = createSummaryHandler("eviction");
@@ -0,0 +1,438 @@
+// k6 HTTP File Converter for ASP.NET Core MeteredMemoryCache Example
+// Turns the IDE .http request files into k6 modules that replay every request in
+// file order, one group per section, so the hand-written files double as load inputs
+// Run with: node k6-http-converter.mjs [file.http...] [--env=dev] [--out=k6-generated]
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const usage = `Usage:
+  node k6-http-converter.mjs [file.http...] [--env=dev] [--env-file=http-client.env.json]
+      [--out=k6-generated]
+
+Without files every .http file next to the converter is converted. Each file becomes
+<out>/k6-http-<name>.js, replayable with: k6 run <out>/k6-http-<name>.js
+Variables come from the environment file ($shared merged with --env), then from the
+file's own @name = value declarations; -e Name=value overrides them at run time.`;
+
+const scriptDir = path.dirname(fileURLToPath(import.meta.url));
+
+const methods = ["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD", "OPTIONS"];
+const requestLinePattern = new RegExp(
+  `^(${methods.join("|")})\\s+(.+?)(?:\\s+HTTP\\/[\\d.]+)?$`,
+);
+const variablePattern = /^@([\w.-]+)\s*=\s*(.*)$/;
+const headerPattern = /^([\w-]+)\s*:\s*(.*)$/;
+const bannerPattern = /^=+$/;
+// "(404 test)", "(400 Bad Request)", "Should return 404", "expect 204"
+const expectedStatusPattern =
+  /\((\d{3})\b|\b(?:returns?|expect(?:ed|s)?)\s+(\d{3})\b/i;
+
+function commentText(line) {
+  const match = line.match(/^(?:#|\/\/)\s?(.*)$/);
+  return match ? match[1].trim() : null;
+}
+
+function isComment(line) {
+  return commentText(line) !== null;
+}
+
+// Splits the file on ### separators; the text after ### is the request title
+function splitBlocks(text) {
+  const blocks = [{ title: "", lines: [] }];
+  text.split(/\r?\n/).forEach((line) => {
+    const separator = line.match(/^###(.*)$/);
+    if (separator) {
+      blocks.push({ title: separator[1].trim(), lines: [] });
+    } else {
+      blocks[blocks.length - 1].lines.push(line);
+    }
+  });
+  return blocks;
+}
+
+// Reads comment lines for section banners (# ===== / # NAME / # =====), @name
+// directives and descriptions. Returns the section named by a banner, if any.
+function readComments(lines, state, descriptions) {
+  let inBanner = false;
+  let section;
+  lines.forEach((line) => {
+    const text = commentText(line.trim());
+    if (text === null) return;
+    if (bannerPattern.test(text)) {
+      inBanner = !inBanner;
+      return;
+    }
+    if (inBanner) {
+      section = section ? `${section} ${text}` : text;
+      return;
+    }
+    const directive = text.match(/^@name\s+(.+)$/);
+    if (directive) {
+      state.requestName = directive[1].trim();
+    } else if (text && descriptions) {
+      descriptions.push(text);
+    }
+  });
+  return section;
+}
+
+function parseBlock(block, state) {
+  const descriptions = [];
+  const preamble = [];
+  let index = 0;
+
+  // Comments, variables and blank lines before the request line
+  for (; index < block.lines.length; index++) {
+    const line = block.lines[index].trim();
+    if (line === "") continue;
+    const variable = line.match(variablePattern);
+    if (variable) {
+      state.variables[variable[1]] = variable[2].trim();
+      continue;
+    }
+    if (isComment(line)) {
+      preamble.push(line);
+      continue;
+    }
+    break;
+  }
+
+  if (index >= block.lines.length) {
+    // Comment-only block: banners here name the section of the requests that follow
+    const section = readComments(preamble, state, null);
+    if (section) {
+      state.group = section;
+    } else if (!state.title && preamble.length > 0) {
+      state.title = commentText(preamble[0]);
+    }
+    state.requestName = undefined;
+    return null;
+  }
+
+  readComments(preamble, state, descriptions);
+
+  const requestLine = block.lines[index].trim();
+  const match = requestLine.match(requestLinePattern);
+  let method = "GET";
+  let url = requestLine;
+  if (match) {
+    method = match[1];
+    url = match[2];
+  }
+  index++;
+
+  // Multi-line query strings continue with ? or &
+  while (index < block.lines.length && /^\s+[?&]/.test(block.lines[index])) {
+    url += block.lines[index].trim();
+    index++;
+  }
+
+  const headers = {};
+  for (; index < block.lines.length; index++) {
+    const line = block.lines[index].trim();
+    if (line === "") {
+      index++;
+      break;
+    }
+    if (isComment(line)) continue;
+    const header = line.match(headerPattern);
+    if (header) {
+      headers[header[1]] = header[2].trim();
+    }
+  }
+
+  // Everything up to the next ### is the body, unless it only holds comments
+  const rest = block.lines.slice(index);
+  while (rest.length > 0 && rest[rest.length - 1].trim() === "") {
+    rest.pop();
+  }
+  const bodyOnlyComments = rest.every(
+    (line) => line.trim() === "" || isComment(line.trim()),
+  );
+  let body = null;
+  let nextSection;
+  if (bodyOnlyComments) {
+    nextSection = readComments(rest, state, null);
+  } else {
+    body = rest.join("\n");
+  }
+
+  const name = state.requestName || block.title || `${method} ${url}`;
+  const status = `${block.title} ${descriptions.join(" ")}`.match(
+    expectedStatusPattern,
+  );
+  const request = {
+    group: state.group || state.title || "requests",
+    name,
+    description: descriptions,
+    method,
+    // An IDE client would send spaces percent-encoded
+    url: url.replace(/ /g, "%20"),
+    headers,
+    body,
+  };
+  if (status) {
+    request.expectedStatus = parseInt(status[1] || status[2], 10);
+  }
+
+  if (nextSection) {
+    state.group = nextSection;
+  }
+  state.requestName = undefined;
+  return request;
+}
+
+// Parses the .http format: @name = value variables, ### separated requests with
+// optional headers and body, # or // comments as descriptions and
+// "# ===" banners as section (group) names
+export function parseHttpFile(text) {
+  const state = {
+    variables: {},
+    group: undefined,
+    title: undefined,
+    requestName: undefined,
+  };
+  const requests = [];
+
+  splitBlocks(text).forEach((block) => {
+    const request = parseBlock(block, state);
+    if (request) {
+      requests.push(request);
+    }
+  });
+
+  return { title: state.title, variables: state.variables, requests };
+}
+
+// Merges $shared with the named environment of an http-client.env.json file
+export function loadEnvironment(envFile, envName) {
+  if (!envFile || !fs.existsSync(envFile)) {
+    return {};
+  }
+  const environments = JSON.parse(fs.readFileSync(envFile, "utf8"));
+  if (!environments[envName]) {
+    throw new Error(
+      `Environment '${envName}' not found in ${envFile} (available: ${Object.keys(
+        environments,
+      )
+        .filter((name) => name !== "$shared")
+        .join(", ")})`,
+    );
+  }
+  return { ...(environments.$shared || {}), ...environments[envName] };
+}
+
+// Returns the {{names}} a request refers to that no variable defines
+export function unresolvedVariables(requests, variables) {
+  const missing = new Set();
+  requests.forEach((request) => {
+    const texts = [
+      request.url,
+      request.body,
+      ...Object.values(request.headers),
+    ];
+    texts.forEach((text) => {
+      (text || "").replace(/\{\{\s*([^}\s]+)[^}]*\}\}/g, (match, name) => {
+        if (!name.startsWith("$") && variables[name] === undefined) {
+          missing.add(name);
+        }
+        return match;
+      });
+    });
+  });
+  return [...missing];
+}
+
+// "CacheTests.http" -> "k6-http-cache-tests.js"
+export function moduleFileName(httpFile) {
+  const base = path
+    .basename(httpFile, path.extname(httpFile))
+    .replace(/([a-z0-9])([A-Z])/g, "$1-$2")
+    .replace(/[^A-Za-z0-9]+/g, "-")
+    .toLowerCase();
+  return `k6-http-${base}.js`;
+}
+
+function isIdentifier(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key);
+}
+
+// Writes a value as a JavaScript literal in the suite's formatting style
+function toLiteral(value, indent = "") {
+  const inner = `${indent}  `;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return "[]";
+    return `[\n${value.map((v) => `${inner}${toLiteral(v, inner)},`).join("\n")}\n${indent}]`;
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value);
+    if (keys.length === 0) return "{}";
+    const entries = keys.map((key) => {
+      const name = isIdentifier(key) ? key : JSON.stringify(key);
+      return `${inner}${name}: ${toLiteral(value[key], inner)},`;
+    });
+    return `{\n${entries.join("\n")}\n${indent}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Builds the k6 module for one parsed .http file
+export function generateModule({
+  source,
+  envName,
+  parsed,
+  environment,
+  runtimeImport,
+  runPath,
+  testName,
+}) {
+  const variables = { ...environment, ...parsed.variables };
+  const requests = parsed.requests.map((request) => {
+    const { description, ...rest } = request;
+    return description.length > 0 ? { ...rest, description } : rest;
+  });
+
+  return `// Generated by k6-http-converter.mjs from ${source} (environment: ${envName}), do not edit
+// ${parsed.title || "Requests replayed from the .http file"}
+// Run with: k6 run ${runPath}
+
+import { replayRequests } from "${runtimeImport}/k6-http-replay.js";
+import { createRunSeed, seedIteration } from "${runtimeImport}/k6-config.js";
+import { createSummaryHandler } from "${runtimeImport}/k6-reporting.js";
+
+export const source = ${JSON.stringify(source)};
+
+// Environment values overlaid with the file's @name = value declarations
+export const variables = ${toLiteral(variables)};
+
+export const requests = ${toLiteral(requests)};
+
+export let options = {
+  scenarios: {
+    replay: {
+      executor: "per-vu-iterations",
+      vus: parseInt(__ENV.REPLAY_VUS || "1", 10),
+      iterations: parseInt(__ENV.REPLAY_ITERATIONS || "1", 10),
+      tags: { test_type: "http_replay" },
+    },
+  },
+};
+
+// Replays all requests in file order; overrides replace variables for this call
+export function replay(overrides = {}) {
+  return replayRequests(requests, variables, overrides);
+}
+
+export function setup() {
+  return { randomSeed: createRunSeed() };
+}
+
+export default function (data) {
+  seedIteration(data.randomSeed);
+  replay();
+}
+
+export const handleSummary = createSummaryHandler(${JSON.stringify(testName)});
+`;
+}
+
+function parseArgs(args) {
+  const positional = [];
+  const flags = {};
+  args.forEach((a) => {
+    const match = a.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      flags[match[1]] = match[2] !== undefined ? match[2] : true;
+    } else {
+      positional.push(a);
+    }
+  });
+  return { positional, flags };
+}
+
+function toImportPath(from, to) {
+  const relative = path.relative(from, to).split(path.sep).join("/");
+  if (relative === "") return ".";
+  return relative.startsWith(".") ? relative : `./${relative}`;
+}
+
+export function main(args) {
+  const { positional, flags } = parseArgs(args);
+  if (flags.help) {
+    console.log(usage);
+    return 2;
+  }
+
+  const files =
+    positional.length > 0
+      ? positional
+      : fs
+          .readdirSync(scriptDir)
+          .filter((name) => name.endsWith(".http"))
+          .map((name) => path.join(scriptDir, name));
+  if (files.length === 0) {
+    console.log(usage);
+    return 2;
+  }
+
+  const envName = flags.env || "dev";
+  const outDir = path.resolve(
+    flags.out || path.join(scriptDir, "k6-generated"),
+  );
+
+  try {
+    fs.mkdirSync(outDir, { recursive: true });
+    files.forEach((file) => {
+      const envFile =
+        flags["env-file"] ||
+        path.join(path.dirname(file), "http-client.env.json");
+      const environment = loadEnvironment(envFile, envName);
+      const parsed = parseHttpFile(fs.readFileSync(file, "utf8"));
+      const fileName = moduleFileName(file);
+      const output = path.join(outDir, fileName);
+
+      fs.writeFileSync(
+        output,
+        generateModule({
+          source: path.basename(file),
+          envName,
+          parsed,
+          environment,
+          runtimeImport: toImportPath(outDir, scriptDir),
+          runPath: path
+            .relative(process.cwd(), output)
+            .split(path.sep)
+            .join("/"),
+          testName: path.basename(fileName, ".js"),
+        }),
+      );
+
+      const groups = new Set(parsed.requests.map((r) => r.group)).size;
+      console.log(
+        `Converted ${path.basename(file)}: ${parsed.requests.length} requests in ${groups} groups -> ${output}`,
+      );
+      unresolvedVariables(parsed.requests, {
+        ...environment,
+        ...parsed.variables,
+      }).forEach((name) => {
+        console.log(
+          `  Warning: {{${name}}} is not defined; pass -e ${name}=...`,
+        );
+      });
+    });
+  } catch (error) {
+    console.error(`HTTP CONVERSION FAILURE: ${error.message}`);
+    return 1;
+  }
+
+  return 0;
+}
+
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href
+) {
+  process.exitCode = main(process.argv.slice(2));
+}
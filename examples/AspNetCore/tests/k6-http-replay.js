@@ -0,0 +1,117 @@
+// HTTP File Replay for k6 Tests
+// Runtime for the modules k6-http-converter.mjs generates from the .http files:
+// resolves {{variables}} and replays the requests in file order, one k6 group per
+// section, with a status check per request
+
+import { check, group } from "k6";
+import http from "k6/http";
+import { random } from "./k6-config.js";
+
+// Suite-wide environment variables that stand in for .http environment values
+const environmentAliases = {
+  HostAddress: "BASE_URL",
+  HttpHostAddress: "HTTP_HOST_URL",
+};
+
+function uuid() {
+  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
+    const r = Math.floor(random() * 16);
+    return (c === "x" ? r : (r & 0x3) | 0x8).toString(16);
+  });
+}
+
+// Dynamic variables supported from the .http format
+const dynamicVariables = {
+  $guid: () => uuid(),
+  $randomInt: (min = "0", max = "1000") => {
+    const low = parseInt(min, 10);
+    return String(low + Math.floor(random() * (parseInt(max, 10) - low)));
+  },
+  $timestamp: () => String(Math.floor(Date.now() / 1000)),
+  $datetime: () => new Date().toISOString(),
+};
+
+// Layers run-time overrides on top of the generated defaults: `-e Name=value`
+// overrides `{{Name}}`, and BASE_URL / HTTP_HOST_URL feed the host variables
+export function resolveVariables(defaults, overrides = {}) {
+  const variables = { ...defaults };
+  Object.keys(variables).forEach((name) => {
+    const alias = environmentAliases[name];
+    if (__ENV[name] !== undefined) {
+      variables[name] = __ENV[name];
+    } else if (alias && __ENV[alias] !== undefined) {
+      variables[name] = __ENV[alias];
+    }
+  });
+  return { ...variables, ...overrides };
+}
+
+// Replaces {{name}} and {{$dynamic args}} references; variables may refer to
+// other variables. Unknown names are left in place so the check shows them.
+export function substitute(text, variables, depth = 0) {
+  if (text === null || text === undefined || depth > 10) {
+    return text;
+  }
+  const result = text.replace(/\{\{\s*([^}]+?)\s*\}\}/g, (match, reference) => {
+    const [name, ...args] = reference.split(/\s+/);
+    if (dynamicVariables[name]) {
+      return dynamicVariables[name](...args);
+    }
+    return variables[name] !== undefined ? variables[name] : match;
+  });
+  return result !== text ? substitute(result, variables, depth + 1) : result;
+}
+
+// Sends one request definition and checks its status: the status named in its
+// title when there is one, otherwise anything but a server error
+export function replayRequest(request, variables) {
+  const headers = {};
+  Object.keys(request.headers).forEach((name) => {
+    headers[name] = substitute(request.headers[name], variables);
+  });
+
+  const params = { headers, tags: { name: request.name } };
+  if (request.expectedStatus !== undefined) {
+    params.responseCallback = http.expectedStatuses(request.expectedStatus);
+  }
+
+  const response = http.request(
+    request.method,
+    substitute(request.url, variables),
+    substitute(request.body, variables),
+    params,
+  );
+
+  if (request.expectedStatus !== undefined) {
+    check(response, {
+      [`${request.name} returns ${request.expectedStatus}`]: (r) =>
+        r.status === request.expectedStatus,
+    });
+  } else {
+    check(response, {
+      [`${request.name} has no server error`]: (r) =>
+        r.status > 0 && r.status < 500,
+    });
+  }
+
+  return response;
+}
+
+// Replays every request of a generated module in file order, grouped by section
+export function replayRequests(requests, defaults, overrides = {}) {
+  const variables = resolveVariables(defaults, overrides);
+  const responses = [];
+
+  let index = 0;
+  while (index < requests.length) {
+    const section = requests[index].group;
+    group(section, () => {
+      while (index < requests.length && requests[index].group === section) {
+        responses.push(replayRequest(requests[index], variables));
+        index++;
+      }
+    });
+  }
+
+  return responses;
+}
@@ -0,0 +1,117 @@
+// Key Popularity Distributions for k6 Tests
+// Chooses which key of a range each request touches, so hit ratio can be studied
+// as a function of access skew instead of uniform picks from a tiny key set
+
+export const distributionTypes = ["uniform", "zipf", "hotspot", "sequential"];
+
+function uniformIndex(size, random) {
+  return Math.floor(random() * size);
+}
+
+// Cumulative probabilities for ranks 1..size with weight 1 / rank^skew
+function zipfCdf(size, skew) {
+  const cdf = new Array(size);
+  let total = 0;
+  for (let rank = 1; rank <= size; rank++) {
+    total += 1 / Math.pow(rank, skew);
+    cdf[rank - 1] = total;
+  }
+  for (let i = 0; i < size; i++) {
+    cdf[i] /= total;
+  }
+  return cdf;
+}
+
+function searchCdf(cdf, value) {
+  let low = 0;
+  let high = cdf.length - 1;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (cdf[mid] < value) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+// Creates a sampler returning indexes in [0, size).
+//   uniform:    every index equally likely
+//   zipf:       index i drawn with weight 1 / (i + 1)^skew
+//   hotspot:    hotTraffic of draws land on the first hotKeys fraction of indexes
+//   sequential: walks the range in order starting at `start`, wrapping around
+export function createKeyDistribution(options, random = Math.random) {
+  const size = options.size;
+  if (!(size > 0)) {
+    throw new Error(`Key distribution size must be positive: ${size}`);
+  }
+
+  const type = options.type || "uniform";
+
+  switch (type) {
+    case "uniform":
+      return { type, size, nextIndex: () => uniformIndex(size, random) };
+
+    case "zipf": {
+      const skew = options.skew !== undefined ? options.skew : 1;
+      const cdf = zipfCdf(size, skew);
+      return { type, size, skew, nextIndex: () => searchCdf(cdf, random()) };
+    }
+
+    case "hotspot": {
+      const hotTraffic =
+        options.hotTraffic !== undefined ? options.hotTraffic : 0.8;
+      const hotKeys = options.hotKeys !== undefined ? options.hotKeys : 0.2;
+      const hotCount = Math.min(size, Math.max(1, Math.ceil(size * hotKeys)));
+      const coldCount = size - hotCount;
+
+      return {
+        type,
+        size,
+        hotTraffic,
+        hotKeys,
+        nextIndex: () => {
+          if (coldCount === 0 || random() < hotTraffic) {
+            return uniformIndex(hotCount, random);
+          }
+          return hotCount + uniformIndex(coldCount, random);
+        },
+      };
+    }
+
+    case "sequential": {
+      let position = (options.start || 0) % size;
+      return {
+        type,
+        size,
+        nextIndex: () => {
+          const index = position;
+          position = (position + 1) % size;
+          return index;
+        },
+      };
+    }
+
+    default:
+      throw new Error(
+        `Unknown key distribution '${type}', expected one of: ${distributionTypes.join(", ")}`,
+      );
+  }
+}
+
+// Picks an element of `keys` using the distribution's next index
+export function pickKey(keys, distribution) {
+  return keys[distribution.nextIndex()];
+}
+
+export function describeDistribution(distribution) {
+  switch (distribution.type) {
+    case "zipf":
+      return `zipf (skew ${distribution.skew}) over ${distribution.size} keys`;
+    case "hotspot":
+      return `hotspot (${Math.round(distribution.hotTraffic * 100)}% of traffic on ${Math.round(distribution.hotKeys * 100)}% of keys) over ${distribution.size} keys`;
+    default:
+      return `${distribution.type} over ${distribution.size} keys`;
+  }
+}
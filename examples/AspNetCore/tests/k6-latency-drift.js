@@ -0,0 +1,279 @@
+// Latency Drift Detection for k6 Soak Tests
+// k6 only reports percentiles over the whole run, so a soak that slowly degrades
+// from 50ms to 400ms still passes a fixed p(95) threshold. A sampler VU scrapes the
+// ASP.NET Core request duration histogram once per window instead, derives the
+// window's p50/p95/p99 and error rate from the bucket deltas (all VUs' traffic,
+// measured server-side) and compares every later window with the first stable one.
+//
+// Percentiles are interpolated within histogram buckets, so small moves inside one
+// bucket are approximate; minLatencyDriftMs keeps those from counting as drift.
+
+import { Gauge } from "k6/metrics";
+import {
+  config,
+  scrapeMetrics,
+  httpServerDurationMetric,
+  startIteration,
+} from "./k6-config.js";
+import { findSamples, histogramQuantile, parseValue } from "./k6-prometheus.js";
+import { trackSubmetrics } from "./k6-reporting.js";
+
+// Per-window values, tagged with the zero-based `window`
+export const soakWindowRequests = new Gauge("soak_window_requests");
+export const soakWindowP50 = new Gauge("soak_window_p50");
+export const soakWindowP95 = new Gauge("soak_window_p95");
+export const soakWindowP99 = new Gauge("soak_window_p99");
+export const soakWindowErrorRate = new Gauge("soak_window_error_rate");
+// Number of windows drifting beyond the configured limits so far
+export const soakDriftingWindows = new Gauge("soak_drifting_windows");
+
+const percentiles = [
+  { key: "p50", q: 0.5, gauge: soakWindowP50 },
+  { key: "p95", q: 0.95, gauge: soakWindowP95 },
+  { key: "p99", q: 0.99, gauge: soakWindowP99 },
+];
+
+// Cumulative request counts of the application's routes: buckets summed over every
+// route and status by bound, plus totals. Requests without an http_route (the
+// /metrics scrape itself) are left out.
+export function readRequestHistogram(metrics) {
+  const byBound = {};
+  findSamples(metrics, `${httpServerDurationMetric}_bucket`).forEach((s) => {
+    if (s.labels.http_route === undefined) return;
+    byBound[s.labels.le] = (byBound[s.labels.le] || 0) + s.value;
+  });
+  const buckets = Object.keys(byBound)
+    .map((le) => ({ le: parseValue(le), count: byBound[le] }))
+    .sort((a, b) => a.le - b.le);
+
+  let requests = 0;
+  let errors = 0;
+  findSamples(metrics, `${httpServerDurationMetric}_count`).forEach((s) => {
+    if (s.labels.http_route === undefined) return;
+    requests += s.value;
+    if (parseInt(s.labels.http_response_status_code, 10) >= 400) {
+      errors += s.value;
+    }
+  });
+
+  return { buckets, requests, errors };
+}
+
+// Window statistics from two cumulative readings; latencies in milliseconds
+export function windowStats(previous, current) {
+  const deltas = current.buckets.map((bucket) => {
+    const before = previous.buckets.find((b) => b.le === bucket.le);
+    return {
+      le: bucket.le,
+      count: Math.max(0, bucket.count - (before ? before.count : 0)),
+    };
+  });
+  const requests = Math.max(0, current.requests - previous.requests);
+  const errors = Math.max(0, current.errors - previous.errors);
+
+  const stats = {
+    requests,
+    errorRate: requests > 0 ? errors / requests : undefined,
+  };
+  percentiles.forEach(({ key, q }) => {
+    const seconds = histogramQuantile(q, deltas);
+    stats[key] = seconds !== undefined ? seconds * 1000 : undefined;
+  });
+  return stats;
+}
+
+// Compares each window after the baseline (the first window after warm-up) with
+// it. Latency drifts when a percentile grew by more than maxLatencyDriftPercent
+// and minLatencyDriftMs; the error rate when it grew by more than
+// maxErrorRateDrift percentage points.
+export function compareWindows(windows, settings) {
+  const baseline = windows.find((w) => w.window === settings.warmupWindows);
+  return windows.map((w) => {
+    const row = { ...w, drift: {}, reasons: [], verdict: "ok" };
+    if (w.window < settings.warmupWindows) {
+      row.verdict = "warmup";
+      return row;
+    }
+    if (w === baseline) {
+      row.verdict = "baseline";
+      return row;
+    }
+    if (!baseline) {
+      return row;
+    }
+
+    percentiles.forEach(({ key }) => {
+      if (w[key] === undefined || !baseline[key]) return;
+      const percent = ((w[key] - baseline[key]) / baseline[key]) * 100;
+      row.drift[key] = percent;
+      if (
+        percent > settings.maxLatencyDriftPercent &&
+        w[key] - baseline[key] > settings.minLatencyDriftMs
+      ) {
+        row.reasons.push(`${key} +${percent.toFixed(0)}%`);
+      }
+    });
+    if (w.errorRate !== undefined && baseline.errorRate !== undefined) {
+      const points = (w.errorRate - baseline.errorRate) * 100;
+      row.drift.errorRate = points;
+      if (points > settings.maxErrorRateDrift) {
+        row.reasons.push(`error rate +${points.toFixed(2)}pp`);
+      }
+    }
+
+    row.verdict = row.reasons.length > 0 ? "drifting" : "ok";
+    return row;
+  });
+}
+
+// State of the sampler VU: the previous reading and the windows closed so far
+let previousReading;
+const windows = [];
+
+// Scenario entry point: export it from the soak script and run it through
+// driftSamplerScenario(). The first call only takes the opening reading.
+export function sampleLatencyDrift(data) {
+  startIteration(data);
+  const { response, metrics } = scrapeMetrics({ name: "drift_sampler" });
+  if (response.status !== 200) {
+    return;
+  }
+  const reading = readRequestHistogram(metrics);
+  if (!previousReading) {
+    previousReading = reading;
+    return;
+  }
+
+  const stats = {
+    window: windows.length,
+    ...windowStats(previousReading, reading),
+  };
+  previousReading = reading;
+  windows.push(stats);
+
+  const tags = { window: String(stats.window) };
+  soakWindowRequests.add(stats.requests, tags);
+  if (stats.errorRate !== undefined) {
+    soakWindowErrorRate.add(stats.errorRate, tags);
+  }
+  percentiles.forEach(({ key, gauge }) => {
+    if (stats[key] !== undefined) {
+      gauge.add(stats[key], tags);
+    }
+  });
+
+  const rows = compareWindows(windows, config.latencyDrift);
+  const latest = rows[rows.length - 1];
+  if (latest.verdict === "drifting") {
+    console.log(
+      `🚨 Window ${latest.window} drifted from the baseline: ${latest.reasons.join(", ")}`,
+    );
+  }
+  soakDriftingWindows.add(rows.filter((r) => r.verdict === "drifting").length);
+}
+
+// Background scenario closing one window per interval
+export function driftSamplerScenario(duration) {
+  return {
+    executor: "constant-arrival-rate",
+    rate: 1,
+    timeUnit: `${config.latencyDrift.windowSeconds}s`,
+    duration,
+    preAllocatedVUs: 1,
+    maxVUs: 1,
+    exec: "sampleLatencyDrift",
+    tags: { test_type: "latency_drift" },
+  };
+}
+
+function windowCount(durationSeconds) {
+  return Math.floor(durationSeconds / config.latencyDrift.windowSeconds);
+}
+
+// Fails the run on any drifting window and keeps the per-window gauges in the summary
+export function driftThresholds(durationSeconds) {
+  const ids = Array.from({ length: windowCount(durationSeconds) }, (_, i) => i);
+  return {
+    soak_drifting_windows: ["value==0"],
+    ...trackSubmetrics("soak_window_requests", "gauge", "window", ids),
+    ...trackSubmetrics("soak_window_p50", "gauge", "window", ids),
+    ...trackSubmetrics("soak_window_p95", "gauge", "window", ids),
+    ...trackSubmetrics("soak_window_p99", "gauge", "window", ids),
+    ...trackSubmetrics("soak_window_error_rate", "gauge", "window", ids),
+  };
+}
+
+// Rebuilds the window comparison from handleSummary data
+export function collectDriftReport(metrics, durationSeconds) {
+  const value = (name, id) => {
+    const metric = metrics[`${name}{window:${id}}`];
+    return metric ? metric.values.value : undefined;
+  };
+  const closed = [];
+  for (let id = 0; id < windowCount(durationSeconds); id++) {
+    const requests = value("soak_window_requests", id);
+    if (requests === undefined) continue;
+    closed.push({
+      window: id,
+      requests,
+      p50: value("soak_window_p50", id),
+      p95: value("soak_window_p95", id),
+      p99: value("soak_window_p99", id),
+      errorRate: value("soak_window_error_rate", id),
+    });
+  }
+  return compareWindows(closed, config.latencyDrift);
+}
+
+function formatMs(value) {
+  return value !== undefined ? value.toFixed(0) : "-";
+}
+
+function formatDrift(value, unit) {
+  if (value === undefined) return "";
+  return `${value >= 0 ? "+" : ""}${value.toFixed(unit === "pp" ? 2 : 0)}${unit}`;
+}
+
+const verdictIcons = {
+  ok: "✅",
+  baseline: "📏",
+  warmup: "⏳",
+  drifting: "❌",
+};
+
+// Console/Markdown lines for the per-window table
+export function formatDriftReport(rows) {
+  const minutes = config.latencyDrift.windowSeconds / 60;
+  const header = [
+    "window",
+    "start",
+    "requests",
+    "p50 ms",
+    "p95 ms",
+    "p99 ms",
+    "errors",
+    "p95 drift",
+    "verdict",
+  ];
+  const table = rows.map((row) => [
+    String(row.window),
+    `${(row.window * minutes).toFixed(minutes % 1 === 0 ? 0 : 1)}m`,
+    String(row.requests),
+    formatMs(row.p50),
+    formatMs(row.p95),
+    formatMs(row.p99),
+    row.errorRate !== undefined ? `${(row.errorRate * 100).toFixed(2)}%` : "-",
+    formatDrift(row.drift.p95, "%"),
+    `${verdictIcons[row.verdict]} ${row.verdict}` +
+      (row.reasons.length > 0 ? ` (${row.reasons.join(", ")})` : ""),
+  ]);
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...table.map((cells) => cells[column].length)),
+  );
+  return [header, ...table].map((cells) =>
+    cells
+      .map((cell, column) => cell.padEnd(widths[column]))
+      .join("  ")
+      .trimEnd(),
+  );
+}
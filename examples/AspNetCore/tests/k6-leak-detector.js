@@ -0,0 +1,149 @@
+// Leak Detection for k6 Soak Tests
+// Samples /api/cache/stats and /metrics at a fixed interval for the whole soak,
+// fits a linear trend per resource series (cache entries and estimated size per
+// named cache, GC heap and working set) and fails the run on sustained growth
+
+import { Gauge } from "k6/metrics";
+import {
+  config,
+  scrapeMetrics,
+  fetchCacheStats,
+  getCacheMetrics,
+  getReportedCacheNames,
+  getRuntimeMetrics,
+  startIteration,
+} from "./k6-config.js";
+import { analyzeTrend } from "./k6-trend-analysis.js";
+
+// Latest sampled value and fitted growth, tagged with resource (and cache_name)
+export const soakResourceValue = new Gauge("soak_resource_value");
+export const soakGrowthPerHour = new Gauge("soak_growth_per_hour");
+// Number of series currently judged to be leaking
+export const soakLeakingSeries = new Gauge("soak_leaking_series");
+
+// Series collected by the sampler VU, keyed by resource and cache name.
+// The sampler scenario runs on a single VU, so this state spans the whole soak.
+const series = {};
+
+function seriesKey(tags) {
+  return tags.cache_name !== undefined
+    ? `${tags.resource}{${tags.cache_name}}`
+    : tags.resource;
+}
+
+// Reads the current value of every tracked series. Cache series come from the
+// MeteredMemoryCache gauges, falling back to the stats endpoint for caches that
+// do not publish an estimated size.
+export function readSoakResources() {
+  const readings = [];
+  const { response, metrics } = scrapeMetrics({ name: "leak_sampler" });
+  const { stats } = fetchCacheStats({ name: "leak_sampler" });
+
+  const reported =
+    response.status === 200 ? getReportedCacheNames(metrics) : [];
+  reported.forEach((name) => {
+    const { entries, estimatedSize } = getCacheMetrics(metrics, name);
+    if (entries !== undefined) {
+      readings.push({
+        tags: { resource: "cache_entries", cache_name: name },
+        value: entries,
+      });
+    }
+    if (estimatedSize !== undefined) {
+      readings.push({
+        tags: { resource: "estimated_size", cache_name: name },
+        value: estimatedSize,
+      });
+    }
+  });
+
+  if (stats && Array.isArray(stats.caches)) {
+    stats.caches.forEach((cache) => {
+      const covered = readings.some(
+        (r) =>
+          r.tags.resource === "estimated_size" &&
+          r.tags.cache_name === cache.name,
+      );
+      if (!covered && typeof cache.estimatedSize === "number") {
+        readings.push({
+          tags: { resource: "estimated_size", cache_name: cache.name },
+          value: cache.estimatedSize,
+        });
+      }
+    });
+  }
+
+  if (response.status === 200) {
+    const { gcHeap, workingSet } = getRuntimeMetrics(metrics);
+    if (gcHeap !== undefined) {
+      readings.push({ tags: { resource: "gc_heap" }, value: gcHeap });
+    }
+    if (workingSet !== undefined) {
+      readings.push({ tags: { resource: "working_set" }, value: workingSet });
+    }
+  }
+
+  return readings;
+}
+
+function formatGrowth(growthPerHour) {
+  return `${(growthPerHour * 100).toFixed(1)}%/h`;
+}
+
+// Scenario entry point: export it from the soak script and run it through
+// leakSamplerScenario(). Samples taken during warm-up are recorded but left
+// out of the fit so cache fill-up is not mistaken for a leak.
+export function sampleSoakResources(data) {
+  startIteration(data);
+  const elapsedSeconds = (Date.now() - Date.parse(data.startTime)) / 1000;
+  const warmedUp = elapsedSeconds >= config.leakDetection.warmupSeconds;
+
+  readSoakResources().forEach(({ tags, value }) => {
+    soakResourceValue.add(value, tags);
+    if (!warmedUp) return;
+
+    const key = seriesKey(tags);
+    if (!series[key]) {
+      series[key] = { tags, points: [], leaking: false };
+    }
+    const entry = series[key];
+    entry.points.push({ x: elapsedSeconds, y: value });
+
+    const trend = analyzeTrend(entry.points, config.leakDetection);
+    soakGrowthPerHour.add(trend.growthPerHour, tags);
+
+    if (trend.leaking !== entry.leaking) {
+      console.log(
+        trend.leaking
+          ? `🚨 Sustained growth in ${key}: ${formatGrowth(trend.growthPerHour)} (r²=${trend.r2.toFixed(2)})`
+          : `✅ ${key} no longer growing: ${formatGrowth(trend.growthPerHour)}`,
+      );
+    }
+    entry.leaking = trend.leaking;
+  });
+
+  soakLeakingSeries.add(
+    Object.keys(series).filter((key) => series[key].leaking).length,
+  );
+}
+
+// Background scenario that samples resources once per sample interval
+export function leakSamplerScenario(duration) {
+  return {
+    executor: "constant-arrival-rate",
+    rate: 1,
+    timeUnit: `${config.leakDetection.sampleIntervalSeconds}s`,
+    duration,
+    preAllocatedVUs: 1,
+    maxVUs: 1,
+    exec: "sampleSoakResources",
+    tags: { test_type: "leak_detection" },
+  };
+}
+
+// Fails the run when any series ends the soak with sustained growth
+export function leakThresholds() {
+  return {
+    soak_leaking_series: ["value==0"],
+  };
+}
@@ -0,0 +1,200 @@
+// k6 Metric Emission Accuracy Tests for ASP.NET Core MeteredMemoryCache Example
+// These tests drive a known request sequence and reconcile the expected hit/miss/entry
+// counts with the deltas MeteredMemoryCache publishes at /metrics
+// Run against a quiet application with: k6 run k6-metric-accuracy-tests.js
+
+import { check, sleep } from "k6";
+import { Trend } from "k6/metrics";
+import {
+  config,
+  getHealth,
+  getUser,
+  getProduct,
+  updateUser,
+  scrapeMetrics,
+  getCacheMetrics,
+} from "./k6-config.js";
+import { createSummaryHandler, summaryTrendStats } from "./k6-reporting.js";
+
+// Relative difference between expected and reported counters, tagged with
+// cache_name and counter
+const metricEmissionDrift = new Trend("metric_emission_drift");
+
+const accuracy = {
+  vus: parseInt(__ENV.ACCURACY_VUS || "5", 10),
+  keysPerVu: parseInt(__ENV.ACCURACY_KEYS_PER_VU || "20", 10),
+  repeats: parseInt(__ENV.ACCURACY_REPEATS || "3", 10),
+  tolerance: parseFloat(__ENV.ACCURACY_TOLERANCE || "0.01"),
+  // Prometheus scrape responses are cached briefly and eviction callbacks run
+  // asynchronously, so wait before the final scrape
+  settleSeconds: parseFloat(__ENV.ACCURACY_SETTLE_SECONDS || "2"),
+};
+
+const reconciledCaches = ["user-profiles", "product-catalog"];
+
+export let options = {
+  scenarios: {
+    accuracy: {
+      executor: "per-vu-iterations",
+      vus: accuracy.vus,
+      iterations: 1,
+      maxDuration: "10m",
+      tags: { test_type: "metric_accuracy" },
+    },
+  },
+  summaryTrendStats,
+  thresholds: {
+    http_req_failed: ["rate==0"], // Expected counts assume every request succeeds
+    metric_emission_drift: [`max<=${accuracy.tolerance}`],
+  },
+};
+
+// Per-VU sequence, per key:
+//   users:    GET (miss, +1 entry), GET x repeats (hits),
+//             PUT (removes entry), GET (miss, +1 entry), GET (hit)
+//   products: GET (miss, +1 entry), GET x repeats (hits)
+function expectedCounts() {
+  const keys = accuracy.vus * accuracy.keysPerVu;
+
+  return {
+    "user-profiles": {
+      hits: keys * (accuracy.repeats + 1),
+      misses: keys * 2,
+      entries: keys,
+    },
+    "product-catalog": {
+      hits: keys * accuracy.repeats,
+      misses: keys,
+      entries: keys,
+    },
+  };
+}
+
+function snapshot() {
+  const { response, metrics } = scrapeMetrics({ name: "accuracy_snapshot" });
+  if (response.status !== 200) {
+    throw new Error(`Failed to scrape /metrics: ${response.status}`);
+  }
+
+  const result = {};
+  reconciledCaches.forEach((name) => {
+    const cacheMetrics = getCacheMetrics(metrics, name);
+    result[name] = {
+      hits: cacheMetrics.hits,
+      misses: cacheMetrics.misses,
+      entries: cacheMetrics.entries || 0,
+    };
+  });
+  return result;
+}
+
+export function setup() {
+  console.log(
+    "🚀 Starting k6 Metric Emission Accuracy Tests for ASP.NET Core MeteredMemoryCache",
+  );
+  console.log(`📍 Base URL: ${config.baseUrl}`);
+  console.log(
+    `🔢 ${accuracy.vus} VUs × ${accuracy.keysPerVu} keys, ${accuracy.repeats} repeats, tolerance ${accuracy.tolerance * 100}%`,
+  );
+
+  const healthResponse = getHealth();
+  if (healthResponse.status !== 200) {
+    throw new Error(
+      `Application health check failed: ${healthResponse.status}`,
+    );
+  }
+
+  // Fresh keys per run so earlier runs cannot leave entries behind
+  const keyBase = __ENV.ACCURACY_KEY_BASE
+    ? parseInt(__ENV.ACCURACY_KEY_BASE, 10)
+    : 1000000 + (Math.floor(Date.now() / 1000) % 100000) * 10000;
+
+  console.log("✅ Application is healthy, capturing baseline counters");
+  return {
+    startTime: new Date().toISOString(),
+    keyBase,
+    baseline: snapshot(),
+  };
+}
+
+export default function (data) {
+  const firstKey = data.keyBase + (__VU - 1) * accuracy.keysPerVu;
+
+  for (let i = 0; i < accuracy.keysPerVu; i++) {
+    const userId = firstKey + i;
+
+    // First touch - miss
+    const first = getUser(userId);
+    check(first, { "accuracy first user touch": (r) => r.status === 200 });
+
+    // Repeats - hits
+    for (let r = 0; r < accuracy.repeats; r++) {
+      getUser(userId);
+    }
+
+    // Update invalidates the entry, next read misses and repopulates
+    const update = updateUser(userId, {
+      name: `Accuracy User ${userId}`,
+      email: `accuracy${userId}@example.com`,
+    });
+    check(update, { "accuracy user update": (r) => r.status === 204 });
+    getUser(userId);
+    getUser(userId);
+  }
+
+  for (let i = 0; i < accuracy.keysPerVu; i++) {
+    const productId = firstKey + i;
+
+    const first = getProduct(productId);
+    check(first, {
+      "accuracy first product touch": (r) => r.status === 200,
+    });
+
+    for (let r = 0; r < accuracy.repeats; r++) {
+      getProduct(productId);
+    }
+  }
+}
+
+export function teardown(data) {
+  console.log("🏁 Metric emission accuracy tests completed");
+
+  sleep(accuracy.settleSeconds);
+  const final = snapshot();
+  const expected = expectedCounts();
+  const mismatches = [];
+
+  console.log("📈 Expected vs reported counter deltas:");
+  reconciledCaches.forEach((name) => {
+    ["hits", "misses", "entries"].forEach((counter) => {
+      const want = expected[name][counter];
+      const got = final[name][counter] - data.baseline[name][counter];
+      const drift = want > 0 ? Math.abs(got - want) / want : got === 0 ? 0 : 1;
+
+      metricEmissionDrift.add(drift, { cache_name: name, counter });
+
+      const status = drift <= accuracy.tolerance ? "✅" : "❌";
+      console.log(
+        `   ${status} ${name} ${counter}: expected ${want}, reported ${got} (drift ${(drift * 100).toFixed(2)}%)`,
+      );
+      if (drift > accuracy.tolerance) {
+        mismatches.push(`${name} ${counter}`);
+      }
+    });
+  });
+
+  check(mismatches, {
+    "cache counters reconcile with traffic": (m) => m.length === 0,
+  });
+
+  if (mismatches.length > 0) {
+    console.log(
+      `❌ Counters drifted beyond tolerance: ${mismatches.join(", ")}`,
+    );
+    console.log("   Make sure no other traffic reached the application");
+  } else {
+    console.log("✅ MeteredMemoryCache counters match the driven traffic");
+  }
+}
+
+export const handleSummary = createSummaryHandler("accuracy");
@@ -0,0 +1,637 @@
+// k6 Negative Path Tests for ASP.NET Core MeteredMemoryCache Example
+// These tests port ErrorHandlingTests.http: every invalid route, body, query, method
+// and header case is sent with the status the app is expected to answer with, and
+// error-path latency is tracked apart from the regular request metrics
+// Run with: k6 run k6-negative-path-tests.js
+
+import { check, sleep } from "k6";
+import http from "k6/http";
+import { Rate, Trend } from "k6/metrics";
+import { config, httpOptions, getHealth, getUser } from "./k6-config.js";
+import { createSummaryHandler, summaryTrendStats } from "./k6-reporting.js";
+
+// Share of cases answered with their expected status, tagged with category
+const expectedStatusRate = new Rate("expected_status_rate");
+// Duration of cases expected to fail (4xx/5xx), tagged with category and status
+const errorResponseTime = new Trend("error_response_time", true);
+
+const validUser = { name: "Test User", email: "test@example.com" };
+const xss = "<script>alert('xss')</script>";
+const sqlInjection = "'; DROP TABLE users; --";
+
+function search(query) {
+  return `/api/products/search?query=${encodeURIComponent(query)}`;
+}
+
+function cachePath(name) {
+  return `/api/cache/${encodeURIComponent(name)}`;
+}
+
+// Expected status per case, taken from the controllers in src/Program.cs:
+//   - `{id:int}` route constraints answer 404 for ids that are not Int32
+//   - [ApiController] answers 400 for model binding and validation failures
+//     (UpdateUserDto: [Required] name and email, [EmailAddress] email)
+//   - PUT bodies are JSON only, so other content types get 415
+//   - ids, pages and page sizes are not range-checked; `note` records where
+//     the app accepts input ErrorHandlingTests.http describes as invalid
+const negativeCases = [
+  // Route ids
+  {
+    category: "route",
+    name: "non-numeric user id",
+    method: "GET",
+    path: "/api/users/invalid",
+    expected: 404,
+  },
+  {
+    category: "route",
+    name: "non-numeric product id",
+    method: "GET",
+    path: "/api/products/invalid",
+    expected: 404,
+  },
+  {
+    category: "route",
+    name: "non-numeric category id",
+    method: "GET",
+    path: "/api/products/category/invalid",
+    expected: 404,
+  },
+  {
+    category: "route",
+    name: "decimal user id",
+    method: "GET",
+    path: "/api/users/1.5",
+    expected: 404,
+  },
+  {
+    category: "route",
+    name: "overflowing user id",
+    method: "GET",
+    path: "/api/users/2147483648",
+    expected: 404,
+  },
+  {
+    category: "route",
+    name: "negative user id",
+    method: "GET",
+    path: "/api/users/-1",
+    expected: 200,
+    note: "ids are not range-checked",
+  },
+  {
+    category: "route",
+    name: "zero product id",
+    method: "GET",
+    path: "/api/products/0",
+    expected: 200,
+    note: "ids are not range-checked",
+  },
+  {
+    category: "route",
+    name: "negative category id",
+    method: "GET",
+    path: "/api/products/category/-1",
+    expected: 200,
+    note: "ids are not range-checked",
+  },
+  {
+    category: "route",
+    name: "max int user id",
+    method: "GET",
+    path: "/api/users/2147483647",
+    expected: 200,
+  },
+
+  // Unknown resources
+  {
+    category: "not_found",
+    name: "non-existent user",
+    method: "GET",
+    path: "/api/users/99999",
+    expected: 200,
+    note: "the simulated upstream resolves every id",
+  },
+  {
+    category: "not_found",
+    name: "non-existent category",
+    method: "GET",
+    path: "/api/products/category/99999",
+    expected: 200,
+    note: "the simulated upstream resolves every id",
+  },
+  {
+    category: "not_found",
+    name: "unknown endpoint",
+    method: "GET",
+    path: "/api/orders/1",
+    expected: 404,
+  },
+
+  // UpdateUserDto validation
+  {
+    category: "body_validation",
+    name: "malformed JSON",
+    method: "PUT",
+    path: "/api/users/1",
+    body: '{ "name": "Test User", "email": "test@example.com"',
+    expected: 400,
+  },
+  {
+    category: "body_validation",
+    name: "empty body",
+    method: "PUT",
+    path: "/api/users/1",
+    body: "",
+    expected: 400,
+  },
+  {
+    category: "body_validation",
+    name: "null body",
+    method: "PUT",
+    path: "/api/users/1",
+    body: "null",
+    expected: 400,
+  },
+  {
+    category: "body_validation",
+    name: "unknown fields only",
+    method: "PUT",
+    path: "/api/users/1",
+    body: { invalidField: "value" },
+    expected: 400,
+  },
+  {
+    category: "body_validation",
+    name: "missing email",
+    method: "PUT",
+    path: "/api/users/1",
+    body: { name: "Test User" },
+    expected: 400,
+  },
+  {
+    category: "body_validation",
+    name: "missing name",
+    method: "PUT",
+    path: "/api/users/1",
+    body: { email: "test@example.com" },
+    expected: 400,
+  },
+  {
+    category: "body_validation",
+    name: "empty name",
+    method: "PUT",
+    path: "/api/users/1",
+    body: { name: "", email: "test@example.com" },
+    expected: 400,
+  },
+  {
+    category: "body_validation",
+    name: "whitespace name",
+    method: "PUT",
+    path: "/api/users/1",
+    body: { name: "   ", email: "test@example.com" },
+    expected: 400,
+  },
+  {
+    category: "body_validation",
+    name: "invalid email",
+    method: "PUT",
+    path: "/api/users/1",
+    body: { name: "Test User", email: "invalid-email-format" },
+    expected: 400,
+  },
+  {
+    category: "body_validation",
+    name: "name as number",
+    method: "PUT",
+    path: "/api/users/1",
+    body: { name: 42, email: "test@example.com" },
+    expected: 400,
+  },
+  {
+    category: "body_validation",
+    name: "very long name",
+    method: "PUT",
+    path: "/api/users/1",
+    body: { name: "x".repeat(500), email: "test@example.com" },
+    expected: 204,
+    note: "no length limit",
+  },
+  {
+    category: "body_validation",
+    name: "unicode name",
+    method: "PUT",
+    path: "/api/users/1",
+    body: { name: "测试用户", email: "test@example.com" },
+    expected: 204,
+  },
+  {
+    category: "body_validation",
+    name: "non-numeric id on update",
+    method: "PUT",
+    path: "/api/users/invalid",
+    body: validUser,
+    expected: 404,
+  },
+
+  // Content types
+  {
+    category: "content_type",
+    name: "missing Content-Type",
+    method: "PUT",
+    path: "/api/users/1",
+    body: validUser,
+    headers: { "Content-Type": null },
+    expected: 415,
+  },
+  {
+    category: "content_type",
+    name: "text/plain body",
+    method: "PUT",
+    path: "/api/users/1",
+    body: validUser,
+    headers: { "Content-Type": "text/plain" },
+    expected: 415,
+  },
+  {
+    category: "content_type",
+    name: "application/xml body",
+    method: "PUT",
+    path: "/api/users/1",
+    body: validUser,
+    headers: { "Content-Type": "application/xml" },
+    expected: 415,
+  },
+
+  // Query parameters
+  {
+    category: "query_validation",
+    name: "batch without ids",
+    method: "GET",
+    path: "/api/users",
+    expected: 400,
+  },
+  {
+    category: "query_validation",
+    name: "batch with non-numeric id",
+    method: "GET",
+    path: "/api/users?ids=invalid",
+    expected: 400,
+  },
+  {
+    category: "query_validation",
+    name: "batch with mixed ids",
+    method: "GET",
+    path: "/api/users?ids=1&ids=invalid&ids=3",
+    expected: 400,
+  },
+  {
+    category: "query_validation",
+    name: "batch with negative ids",
+    method: "GET",
+    path: "/api/users?ids=-1&ids=-2",
+    expected: 200,
+    note: "ids are not range-checked",
+  },
+  {
+    category: "query_validation",
+    name: "search without query",
+    method: "GET",
+    path: "/api/products/search",
+    expected: 400,
+  },
+  {
+    category: "query_validation",
+    name: "search with empty query",
+    method: "GET",
+    path: search(""),
+    expected: 400,
+  },
+  {
+    category: "query_validation",
+    name: "search with whitespace query",
+    method: "GET",
+    path: search("   "),
+    expected: 400,
+  },
+  {
+    category: "query_validation",
+    name: "search with non-numeric page",
+    method: "GET",
+    path: `${search("test")}&page=invalid`,
+    expected: 400,
+  },
+  {
+    category: "query_validation",
+    name: "search with non-numeric page size",
+    method: "GET",
+    path: `${search("test")}&pageSize=invalid`,
+    expected: 400,
+  },
+  {
+    category: "query_validation",
+    name: "search with negative page",
+    method: "GET",
+    path: `${search("test")}&page=-1`,
+    expected: 200,
+    note: "pages are not range-checked",
+  },
+  {
+    category: "query_validation",
+    name: "search with zero page",
+    method: "GET",
+    path: `${search("test")}&page=0`,
+    expected: 200,
+    note: "pages are not range-checked",
+  },
+  {
+    category: "query_validation",
+    name: "search with very large page",
+    method: "GET",
+    path: `${search("test")}&page=999999`,
+    expected: 200,
+  },
+  {
+    category: "query_validation",
+    name: "search with zero page size",
+    method: "GET",
+    path: `${search("test")}&pageSize=0`,
+    expected: 200,
+  },
+  {
+    category: "query_validation",
+    name: "search with negative page size",
+    method: "GET",
+    path: `${search("test")}&pageSize=-1`,
+    expected: 500,
+    note: "Enumerable.Range rejects a negative count",
+  },
+  {
+    category: "query_validation",
+    name: "search with oversized page size",
+    method: "GET",
+    path: `${search("test")}&pageSize=10000`,
+    expected: 200,
+    note: "page size is not capped",
+  },
+  {
+    category: "query_validation",
+    name: "search with unicode query",
+    method: "GET",
+    path: search("测试"),
+    expected: 200,
+  },
+  {
+    category: "query_validation",
+    name: "search with special characters",
+    method: "GET",
+    path: search("!@#$%^&*()"),
+    expected: 200,
+  },
+  {
+    category: "query_validation",
+    name: "search with SQL injection",
+    method: "GET",
+    path: search(sqlInjection),
+    expected: 200,
+  },
+  {
+    category: "query_validation",
+    name: "search with XSS",
+    method: "GET",
+    path: search(xss),
+    expected: 200,
+  },
+
+  // HTTP methods
+  {
+    category: "method",
+    name: "POST to user",
+    method: "POST",
+    path: "/api/users/1",
+    body: validUser,
+    expected: 405,
+  },
+  {
+    category: "method",
+    name: "DELETE to user",
+    method: "DELETE",
+    path: "/api/users/1",
+    expected: 405,
+  },
+  {
+    category: "method",
+    name: "POST to cache",
+    method: "POST",
+    path: "/api/cache/user-profiles",
+    expected: 405,
+  },
+  {
+    category: "method",
+    name: "PUT to cache",
+    method: "PUT",
+    path: "/api/cache/user-profiles",
+    expected: 405,
+  },
+  {
+    category: "method",
+    name: "GET to cache",
+    method: "GET",
+    path: "/api/cache/user-profiles",
+    expected: 405,
+  },
+  {
+    category: "method",
+    name: "DELETE without cache name",
+    method: "DELETE",
+    path: "/api/cache/",
+    expected: 404,
+  },
+
+  // Headers
+  {
+    category: "headers",
+    name: "missing Accept",
+    method: "GET",
+    path: "/api/users/1",
+    headers: { Accept: null },
+    expected: 200,
+  },
+  {
+    category: "headers",
+    name: "text/html Accept",
+    method: "GET",
+    path: "/api/users/1",
+    headers: { Accept: "text/html" },
+    expected: 200,
+    note: "no 406 without ReturnHttpNotAcceptable",
+  },
+
+  // Cache names (CacheController answers 404 for names without a keyed cache)
+  {
+    category: "cache",
+    name: "unknown cache",
+    method: "DELETE",
+    path: cachePath("non-existent-cache"),
+    expected: 404,
+  },
+  {
+    category: "cache",
+    name: "cache name with special characters",
+    method: "DELETE",
+    path: cachePath("user-profiles@#$%"),
+    expected: 404,
+  },
+  {
+    category: "cache",
+    name: "cache name with spaces",
+    method: "DELETE",
+    path: cachePath("user profiles"),
+    expected: 404,
+  },
+  {
+    category: "cache",
+    name: "wrong-case cache name",
+    method: "DELETE",
+    path: cachePath("User-Profiles"),
+    expected: 404,
+  },
+  {
+    category: "cache",
+    name: "very long cache name",
+    method: "DELETE",
+    path: cachePath("c".repeat(500)),
+    expected: 404,
+  },
+  {
+    category: "cache",
+    name: "cache name with SQL injection",
+    method: "DELETE",
+    path: cachePath(`user-profiles${sqlInjection}`),
+    expected: 404,
+  },
+  {
+    category: "cache",
+    name: "cache name with XSS",
+    method: "DELETE",
+    path: cachePath(`user-profiles${xss}`),
+    expected: 404,
+  },
+];
+
+export let options = {
+  scenarios: {
+    negativePath: {
+      executor: "constant-vus",
+      vus: parseInt(__ENV.NEGATIVE_PATH_VUS || "3", 10),
+      duration: __ENV.NEGATIVE_PATH_DURATION || "1m",
+      tags: { test_type: "negative_path" },
+    },
+  },
+  summaryTrendStats,
+  thresholds: {
+    expected_status_rate: ["rate==1"], // Every case must answer with its expected status
+    error_response_time: ["p(95)<500"], // Rejections must stay cheap
+    http_req_failed: ["rate<0.01"], // Only unexpected statuses count as failures
+  },
+};
+
+function buildHeaders(overrides = {}) {
+  const headers = { ...httpOptions.headers, ...overrides };
+  Object.keys(headers).forEach((name) => {
+    if (headers[name] === null) {
+      delete headers[name];
+    }
+  });
+  return headers;
+}
+
+function buildBody(body) {
+  if (body === undefined) {
+    return null;
+  }
+  return typeof body === "string" ? body : JSON.stringify(body);
+}
+
+function runCase(testCase) {
+  const tags = {
+    category: testCase.category,
+    name: `negative ${testCase.name}`,
+  };
+  const response = http.request(
+    testCase.method,
+    `${config.baseUrl}${testCase.path}`,
+    buildBody(testCase.body),
+    {
+      headers: buildHeaders(testCase.headers),
+      timeout: httpOptions.timeout,
+      tags,
+      responseCallback: http.expectedStatuses(testCase.expected),
+    },
+  );
+
+  const matched = response.status === testCase.expected;
+  expectedStatusRate.add(matched, { category: testCase.category });
+  if (testCase.expected >= 400) {
+    errorResponseTime.add(response.timings.duration, {
+      category: testCase.category,
+      status: String(testCase.expected),
+    });
+  }
+
+  check(response, {
+    [`${testCase.name} returns ${testCase.expected}`]: () => matched,
+  });
+  if (!matched && __ITER === 0) {
+    console.log(
+      `❌ ${testCase.method} ${testCase.path}: expected ${testCase.expected}, got ${response.status}`,
+    );
+  }
+}
+
+export function setup() {
+  console.log(
+    "🚀 Starting k6 Negative Path Tests for ASP.NET Core MeteredMemoryCache",
+  );
+  console.log(`📍 Base URL: ${config.baseUrl}`);
+  console.log(`🧪 ${negativeCases.length} error and edge cases per iteration`);
+
+  // Verify application is running
+  const healthResponse = getHealth();
+  if (healthResponse.status !== 200) {
+    throw new Error(
+      `Application health check failed: ${healthResponse.status}`,
+    );
+  }
+
+  console.log("✅ Application is healthy and ready for negative path testing");
+  return { startTime: new Date().toISOString() };
+}
+
+export default function () {
+  negativeCases.forEach(runCase);
+
+  // Resilience: valid traffic must still succeed between bursts of invalid requests
+  const user = getUser(1);
+  check(user, {
+    "valid request succeeds after error cases": (r) => r.status === 200,
+  });
+
+  sleep(1);
+}
+
+export function teardown(data) {
+  console.log("🏁 Negative path tests completed");
+  console.log(`⏱️ Test duration: ${new Date().toISOString()}`);
+
+  // Final health check
+  const finalHealthResponse = getHealth();
+  if (finalHealthResponse.status === 200) {
+    console.log("✅ Application is still healthy after negative path tests");
+  } else {
+    console.log("❌ Application health check failed after negative path tests");
+  }
+}
+
+export const handleSummary = createSummaryHandler("negative-path");
@@ -0,0 +1,113 @@
+// Load Phases for k6 Tests
+// Runs each phase of a phased test (e.g. warmup → spike → recovery) as its own
+// scenario, started with `startTime` when the previous one ends, so the executor
+// owns the timing and every metric a phase emits carries its `phase` tag.
+// The summary then breaks latency, errors and the server-side hit ratio down per
+// phase.
+//
+// Phase shape: { name, seconds, startVUs, target } — a ramping-vus scenario named
+// after the phase that goes from startVUs to target over `seconds`
+
+import exec from "k6/execution";
+import { trackSubmetrics } from "./k6-reporting.js";
+import { windowHitRatio } from "./k6-server-metrics.js";
+
+// Builds one ramping-vus scenario per phase, back to back. VUs still busy when
+// their phase ends get a few seconds to finish before the next phase owns the load.
+export function phaseScenarios(testType, phases) {
+  const result = {};
+  let offset = 0;
+  phases.forEach((phase) => {
+    result[phase.name] = {
+      executor: "ramping-vus",
+      startTime: `${offset}s`,
+      startVUs: phase.startVUs,
+      stages: [{ duration: `${phase.seconds}s`, target: phase.target }],
+      gracefulRampDown: "5s",
+      gracefulStop: "5s",
+      tags: { test_type: testType, phase: phase.name },
+    };
+    offset += phase.seconds;
+  });
+  return result;
+}
+
+export function phasesDuration(phases) {
+  return phases.reduce((sum, phase) => sum + phase.seconds, 0);
+}
+
+// Phase of the scenario running the current iteration
+export function currentPhase() {
+  return exec.scenario.name;
+}
+
+// Phase in progress for a VU outside the phase scenarios (e.g. a background
+// sampler started alongside the first phase)
+export function phaseAt(phases, elapsedSeconds) {
+  let offset = 0;
+  for (const phase of phases) {
+    offset += phase.seconds;
+    if (elapsedSeconds < offset) {
+      return phase.name;
+    }
+  }
+  return phases[phases.length - 1].name;
+}
+
+export function elapsedInScenario() {
+  return (Date.now() - exec.scenario.startTime) / 1000;
+}
+
+// Keeps the per-phase submetrics read by collectPhaseBreakdown() in the summary
+export function phaseThresholds(phases) {
+  const names = phases.map((phase) => phase.name);
+  return {
+    ...trackSubmetrics("http_req_duration", "trend", "phase", names),
+    ...trackSubmetrics("http_req_failed", "rate", "phase", names),
+    ...trackSubmetrics("http_reqs", "counter", "phase", names),
+    ...trackSubmetrics("server_cache_window_hits", "counter", "phase", names),
+    ...trackSubmetrics("server_cache_window_misses", "counter", "phase", names),
+  };
+}
+
+// Per-phase requests, p(95) latency, error rate and server-side hit ratio
+export function collectPhaseBreakdown(metrics, phases) {
+  return phases.map((phase) => {
+    const values = (name) => {
+      const metric = metrics[`${name}{phase:${phase.name}}`];
+      return metric ? metric.values : {};
+    };
+    return {
+      phase: phase.name,
+      requests: values("http_reqs").count || 0,
+      p95: values("http_req_duration")["p(95)"],
+      errorRate: values("http_req_failed").rate,
+      hitRatio: windowHitRatio(metrics, "phase", phase.name),
+    };
+  });
+}
+
+function formatValue(value, format) {
+  return value !== undefined ? format(value) : "-";
+}
+
+// Console/Markdown lines for collectPhaseBreakdown()
+export function formatPhaseBreakdown(rows) {
+  const header = ["phase", "requests", "p(95) ms", "errors", "hit ratio"];
+  const table = rows.map((row) => [
+    row.phase,
+    String(row.requests),
+    formatValue(row.p95, (v) => v.toFixed(0)),
+    formatValue(row.errorRate, (v) => `${(v * 100).toFixed(2)}%`),
+    formatValue(row.hitRatio, (v) => `${(v * 100).toFixed(2)}%`),
+  ]);
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...table.map((cells) => cells[column].length)),
+  );
+  return [header, ...table].map((cells) =>
+    cells
+      .map((cell, column) => cell.padEnd(widths[column]))
+      .join("  ")
+      .trimEnd(),
+  );
+}
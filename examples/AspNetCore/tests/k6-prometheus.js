@@ -0,0 +1,253 @@
+// Prometheus Text Exposition Parser for k6 Tests
+// Parses the /metrics payload emitted by the OpenTelemetry Prometheus exporter
+// into structured samples so tests can assert on specific cache series
+
+// Suffixes that the exposition format appends to a metric family name
+const familySuffixes = [
+  "_total",
+  "_bucket",
+  "_sum",
+  "_count",
+  "_created",
+  "_info",
+];
+
+function parseLabels(text, start) {
+  // Parses `{name="value",...}` starting at the opening brace.
+  // Returns the labels and the index just after the closing brace.
+  const labels = {};
+  let i = start + 1;
+
+  while (i < text.length && text[i] !== "}") {
+    while (text[i] === " " || text[i] === ",") i++;
+    if (text[i] === "}") break;
+
+    const equals = text.indexOf("=", i);
+    if (equals === -1) {
+      throw new Error(`Malformed label set: ${text}`);
+    }
+    const name = text.slice(i, equals).trim();
+
+    i = equals + 1;
+    if (text[i] !== '"') {
+      throw new Error(`Label ${name} value is not quoted: ${text}`);
+    }
+    i++;
+
+    let value = "";
+    while (i < text.length && text[i] !== '"') {
+      if (text[i] === "\\" && i + 1 < text.length) {
+        const escaped = text[i + 1];
+        value += escaped === "n" ? "\n" : escaped;
+        i += 2;
+      } else {
+        value += text[i];
+        i++;
+      }
+    }
+
+    labels[name] = value;
+    i++; // closing quote
+  }
+
+  if (text[i] !== "}") {
+    throw new Error(`Unterminated label set: ${text}`);
+  }
+
+  return { labels, end: i + 1 };
+}
+
+// Parses a sample value or histogram bound, including the +Inf, -Inf and NaN spellings
+export function parseValue(text) {
+  switch (text) {
+    case "+Inf":
+    case "Inf":
+      return Infinity;
+    case "-Inf":
+      return -Infinity;
+    case "NaN":
+      return NaN;
+    default:
+      return parseFloat(text);
+  }
+}
+
+function parseSampleLine(line) {
+  const nameEnd = line.search(/[{\s]/);
+  const name = nameEnd === -1 ? line : line.slice(0, nameEnd);
+
+  let labels = {};
+  let rest = nameEnd === -1 ? "" : line.slice(nameEnd);
+
+  if (rest.startsWith("{")) {
+    const parsed = parseLabels(rest, 0);
+    labels = parsed.labels;
+    rest = rest.slice(parsed.end);
+  }
+
+  const parts = rest.trim().split(/\s+/);
+  if (parts.length === 0 || parts[0] === "") {
+    throw new Error(`Sample has no value: ${line}`);
+  }
+
+  return {
+    name,
+    labels,
+    value: parseValue(parts[0]),
+    timestamp: parts.length > 1 ? parseInt(parts[1], 10) : undefined,
+  };
+}
+
+function resolveFamily(families, sampleName) {
+  // Histogram and counter samples carry a suffix that the TYPE line may omit
+  if (families[sampleName]) {
+    return families[sampleName];
+  }
+
+  for (const suffix of familySuffixes) {
+    if (sampleName.endsWith(suffix)) {
+      const base = sampleName.slice(0, -suffix.length);
+      if (families[base]) {
+        return families[base];
+      }
+    }
+  }
+
+  families[sampleName] = {
+    name: sampleName,
+    help: "",
+    type: "untyped",
+    samples: [],
+  };
+  return families[sampleName];
+}
+
+function getFamily(families, name) {
+  if (!families[name]) {
+    families[name] = { name, help: "", type: "untyped", samples: [] };
+  }
+  return families[name];
+}
+
+// Parses Prometheus/OpenMetrics text format into
+// { families: { [name]: { name, help, type, samples } }, samples: [...] }
+export function parsePrometheusText(text) {
+  const families = {};
+  const samples = [];
+
+  if (!text) {
+    return { families, samples };
+  }
+
+  const lines = text.split(/\r?\n/);
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (line === "" || line === "# EOF") {
+      continue;
+    }
+
+    if (line.startsWith("#")) {
+      const match = line.match(/^#\s+(HELP|TYPE)\s+(\S+)\s*(.*)$/);
+      if (match) {
+        const family = getFamily(families, match[2]);
+        if (match[1] === "HELP") {
+          family.help = match[3];
+        } else {
+          family.type = match[3] || "untyped";
+        }
+      }
+      continue;
+    }
+
+    const sample = parseSampleLine(line);
+    const family = resolveFamily(families, sample.name);
+    sample.family = family.name;
+    sample.type = family.type;
+
+    family.samples.push(sample);
+    samples.push(sample);
+  }
+
+  return { families, samples };
+}
+
+function labelsMatch(sampleLabels, matchers) {
+  for (const key of Object.keys(matchers || {})) {
+    if (sampleLabels[key] !== String(matchers[key])) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Returns every sample with the exact series name whose labels match all matchers
+export function findSamples(metrics, name, matchers = {}) {
+  return metrics.samples.filter(
+    (sample) => sample.name === name && labelsMatch(sample.labels, matchers),
+  );
+}
+
+// Sums all matching samples, returning 0 when the series is absent
+export function sumSamples(metrics, name, matchers = {}) {
+  return findSamples(metrics, name, matchers).reduce(
+    (total, sample) => total + sample.value,
+    0,
+  );
+}
+
+// Returns the single matching sample value, or undefined when absent
+export function sampleValue(metrics, name, matchers = {}) {
+  const matches = findSamples(metrics, name, matchers);
+  return matches.length > 0 ? matches[0].value : undefined;
+}
+
+// Groups the matching samples by a label value, summing each group
+export function sumSamplesBy(metrics, name, label, matchers = {}) {
+  const totals = {};
+  for (const sample of findSamples(metrics, name, matchers)) {
+    const key = sample.labels[label];
+    if (key === undefined) continue;
+    totals[key] = (totals[key] || 0) + sample.value;
+  }
+  return totals;
+}
+
+// Returns the buckets of a histogram series as [{ le, count }] sorted by bound
+export function histogramBuckets(metrics, name, matchers = {}) {
+  return findSamples(metrics, `${name}_bucket`, matchers)
+    .map((sample) => ({
+      le: parseValue(sample.labels.le),
+      count: sample.value,
+    }))
+    .sort((a, b) => a.le - b.le);
+}
+
+// Estimates quantile q (0-1) from cumulative [{ le, count }] buckets the way
+// Prometheus' histogram_quantile() does: linear interpolation inside the bucket
+// holding the rank, capped at the highest finite bound. Undefined without samples.
+export function histogramQuantile(q, buckets) {
+  const total = buckets.length > 0 ? buckets[buckets.length - 1].count : 0;
+  if (total <= 0) {
+    return undefined;
+  }
+
+  const rank = q * total;
+  let lowerBound = 0;
+  let lowerCount = 0;
+  for (const bucket of buckets) {
+    if (bucket.count >= rank) {
+      if (!Number.isFinite(bucket.le)) {
+        return lowerBound;
+      }
+      const inBucket = bucket.count - lowerCount;
+      return inBucket > 0
+        ? lowerBound +
+            ((bucket.le - lowerBound) * (rank - lowerCount)) / inBucket
+        : bucket.le;
+    }
+    lowerBound = bucket.le;
+    lowerCount = bucket.count;
+  }
+  return lowerBound;
+}
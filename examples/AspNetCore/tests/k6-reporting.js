@@ -0,0 +1,416 @@
+// k6 Summary Reporting for ASP.NET Core MeteredMemoryCache Example
+// Shared handleSummary implementation that writes JSON, JUnit XML, Markdown and a
+// self-contained HTML report next to the console summary
+// Usage in a test script: export const handleSummary = createSummaryHandler("smoke");
+
+import { textSummary } from "https://jslib.k6.io/k6-summary/0.0.2/index.js";
+
+// Trend stats kept in the summary; p(99) and med feed the k6-baseline-gate.mjs comparison
+export const summaryTrendStats = [
+  "avg",
+  "min",
+  "med",
+  "max",
+  "p(90)",
+  "p(95)",
+  "p(99)",
+];
+
+// Output locations; set a REPORT_* path to "" to skip that format
+function reportPaths(testName) {
+  const dir = __ENV.REPORT_DIR || "k6-results";
+  const path = (envName, suffix) =>
+    __ENV[envName] !== undefined
+      ? __ENV[envName]
+      : `${dir}/${testName}-summary.${suffix}`;
+
+  return {
+    json: path("REPORT_JSON", "json"),
+    junit: path("REPORT_JUNIT", "junit.xml"),
+    markdown: path("REPORT_MARKDOWN", "md"),
+    html: path("REPORT_HTML", "html"),
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function escapeMarkdown(value) {
+  return String(value).replace(/\|/g, "\\|");
+}
+
+function formatNumber(value, digits = 2) {
+  if (value === undefined || value === null || Number.isNaN(value)) {
+    return "n/a";
+  }
+  return Number.isInteger(value) ? String(value) : value.toFixed(digits);
+}
+
+// Flattens root_group into [{ path, name, passes, fails }]
+export function collectChecks(group, path = []) {
+  const groupPath = group.name ? [...path, group.name] : path;
+  const checks = (group.checks || []).map((c) => ({
+    path: groupPath.join(" › "),
+    name: c.name,
+    passes: c.passes,
+    fails: c.fails,
+  }));
+
+  (group.groups || []).forEach((child) => {
+    checks.push(...collectChecks(child, groupPath));
+  });
+
+  return checks;
+}
+
+// Always-true expressions that only make k6 keep a tagged submetric in the summary
+// data (k6 drops submetrics no threshold refers to); reports leave them out
+const trackingExpressions = {
+  trend: "max>=0",
+  rate: "rate>=0",
+  counter: "count>=0",
+  gauge: "value>=0",
+};
+
+// Thresholds that track `metric{tag:value}` for every value without gating the run,
+// e.g. trackSubmetrics("http_reqs", "counter", "target_rate", [10, 20])
+export function trackSubmetrics(metric, type, tag, values) {
+  const thresholds = {};
+  values.forEach((value) => {
+    thresholds[`${metric}{${tag}:${value}}`] = [trackingExpressions[type]];
+  });
+  return thresholds;
+}
+
+function isTrackingExpression(expression) {
+  return Object.keys(trackingExpressions).some(
+    (type) => trackingExpressions[type] === expression,
+  );
+}
+
+// Lists every threshold expression as [{ metric, expression, ok }]
+export function collectThresholds(metrics) {
+  const result = [];
+  Object.keys(metrics).forEach((metric) => {
+    const thresholds = metrics[metric].thresholds || {};
+    Object.keys(thresholds).forEach((expression) => {
+      if (isTrackingExpression(expression)) return;
+      result.push({ metric, expression, ok: thresholds[expression].ok });
+    });
+  });
+  return result;
+}
+
+// The single value that best describes a metric of each type
+function headlineValue(metric) {
+  switch (metric.type) {
+    case "trend":
+      return { stat: "p(95)", value: metric.values["p(95)"] };
+    case "rate":
+      return { stat: "rate", value: metric.values.rate };
+    case "gauge":
+      return { stat: "value", value: metric.values.value };
+    default:
+      return { stat: "count", value: metric.values.count };
+  }
+}
+
+// Timelines (tagged `second` or `window`) are left to the test's own analysis
+// rather than turned into a table or chart row per point in time
+const timelineTags = ["second", "window"];
+
+// Groups submetrics such as http_req_duration{endpoint:users.get} by base metric
+// and tag key, e.g. { "http_req_duration|endpoint": [{ label, stat, value }] }
+export function collectSubmetricSeries(metrics) {
+  const series = {};
+
+  Object.keys(metrics).forEach((name) => {
+    const match = name.match(/^([^{]+)\{([^:}]+):([^}]*)\}$/);
+    if (!match || timelineTags.includes(match[2])) return;
+
+    const key = `${match[1]}|${match[2]}`;
+    const { stat, value } = headlineValue(metrics[name]);
+    if (!series[key]) {
+      series[key] = { metric: match[1], tag: match[2], stat, points: [] };
+    }
+    series[key].points.push({ label: match[3], value });
+  });
+
+  return series;
+}
+
+// Seed the run's setup() returned as `randomSeed`, if it used seeded randomness
+function randomSeedOf(data) {
+  return data.setup_data ? data.setup_data.randomSeed : undefined;
+}
+
+export function buildJsonReport(testName, data, analysis) {
+  return {
+    test: testName,
+    generatedAt: new Date().toISOString(),
+    randomSeed: randomSeedOf(data),
+    state: data.state,
+    options: data.options,
+    thresholds: collectThresholds(data.metrics),
+    checks: collectChecks(data.root_group),
+    analysis: analysis ? analysis.report : undefined,
+    metrics: data.metrics,
+  };
+}
+
+export function buildJUnitReport(testName, data) {
+  const checks = collectChecks(data.root_group);
+  const thresholds = collectThresholds(data.metrics);
+  const failures =
+    checks.filter((c) => c.fails > 0).length +
+    thresholds.filter((t) => !t.ok).length;
+  const duration = ((data.state.testRunDurationMs || 0) / 1000).toFixed(3);
+
+  const cases = [];
+
+  checks.forEach((c) => {
+    const classname = escapeXml(
+      `${testName}.checks${c.path ? `.${c.path}` : ""}`,
+    );
+    const failure =
+      c.fails > 0
+        ? `<failure message="${escapeXml(`${c.fails} of ${c.passes + c.fails} failed`)}"/>`
+        : "";
+    cases.push(
+      `    <testcase classname="${classname}" name="${escapeXml(c.name)}">${failure}</testcase>`,
+    );
+  });
+
+  thresholds.forEach((t) => {
+    const failure = t.ok
+      ? ""
+      : `<failure message="${escapeXml(`${t.metric} ${t.expression} crossed`)}"/>`;
+    cases.push(
+      `    <testcase classname="${escapeXml(`${testName}.thresholds`)}" name="${escapeXml(`${t.metric}: ${t.expression}`)}">${failure}</testcase>`,
+    );
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites tests="${cases.length}" failures="${failures}" time="${duration}">`,
+    `  <testsuite name="${escapeXml(testName)}" tests="${cases.length}" failures="${failures}" time="${duration}">`,
+    ...cases,
+    "  </testsuite>",
+    "</testsuites>",
+    "",
+  ].join("\n");
+}
+
+export function buildMarkdownReport(testName, data, analysis) {
+  const thresholds = collectThresholds(data.metrics);
+  const checks = collectChecks(data.root_group);
+  const failedThresholds = thresholds.filter((t) => !t.ok).length;
+  const lines = [];
+
+  lines.push(`## k6 ${testName} results`);
+  lines.push("");
+  lines.push(
+    failedThresholds === 0
+      ? `✅ All ${thresholds.length} thresholds passed`
+      : `❌ ${failedThresholds} of ${thresholds.length} thresholds failed`,
+  );
+  lines.push("");
+  const seed = randomSeedOf(data);
+  if (seed !== undefined) {
+    lines.push(
+      `🎲 Random seed \`${seed}\`, replay with \`-e RANDOM_SEED=${seed}\``,
+    );
+    lines.push("");
+  }
+
+  if (thresholds.length > 0) {
+    lines.push("| Metric | Threshold | Result |");
+    lines.push("| ------ | --------- | ------ |");
+    thresholds.forEach((t) => {
+      lines.push(
+        `| \`${escapeMarkdown(t.metric)}\` | \`${escapeMarkdown(t.expression)}\` | ${t.ok ? "✅" : "❌"} |`,
+      );
+    });
+    lines.push("");
+  }
+
+  const trends = ["http_req_duration", "response_time"].filter(
+    (name) => data.metrics[name],
+  );
+  if (trends.length > 0) {
+    lines.push("| Trend | avg | p(90) | p(95) | p(99) | max |");
+    lines.push("| ----- | --- | ----- | ----- | ----- | --- |");
+    trends.forEach((name) => {
+      const v = data.metrics[name].values;
+      lines.push(
+        `| \`${name}\` | ${formatNumber(v.avg)} | ${formatNumber(v["p(90)"])} | ${formatNumber(v["p(95)"])} | ${formatNumber(v["p(99)"])} | ${formatNumber(v.max)} |`,
+      );
+    });
+    lines.push("");
+  }
+
+  const series = collectSubmetricSeries(data.metrics);
+  Object.keys(series).forEach((key) => {
+    const s = series[key];
+    lines.push(`| ${escapeMarkdown(s.tag)} | \`${s.metric}\` ${s.stat} |`);
+    lines.push("| --- | --- |");
+    s.points.forEach((p) => {
+      lines.push(`| ${escapeMarkdown(p.label)} | ${formatNumber(p.value)} |`);
+    });
+    lines.push("");
+  });
+
+  if (analysis) {
+    lines.push(`### ${analysis.title}`);
+    lines.push("");
+    lines.push("```");
+    lines.push(...analysis.lines);
+    lines.push("```");
+    lines.push("");
+  }
+
+  const failingChecks = checks.filter((c) => c.fails > 0);
+  if (failingChecks.length > 0) {
+    lines.push("<details><summary>Failing checks</summary>");
+    lines.push("");
+    lines.push("| Check | Passes | Fails |");
+    lines.push("| ----- | ------ | ----- |");
+    failingChecks.forEach((c) => {
+      lines.push(`| ${escapeMarkdown(c.name)} | ${c.passes} | ${c.fails} |`);
+    });
+    lines.push("");
+    lines.push("</details>");
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+// Horizontal SVG bar chart, scaled to the largest finite value
+function svgBarChart(points) {
+  const barHeight = 22;
+  const labelWidth = 220;
+  const chartWidth = 420;
+  const finite = points.filter((p) => Number.isFinite(p.value));
+  const max = Math.max(...finite.map((p) => p.value), 0) || 1;
+  const height = points.length * barHeight + 10;
+
+  const bars = points
+    .map((p, i) => {
+      const y = i * barHeight + 5;
+      const width = Number.isFinite(p.value)
+        ? Math.max(1, (p.value / max) * chartWidth)
+        : 0;
+      return [
+        `<text x="${labelWidth - 8}" y="${y + 15}" text-anchor="end">${escapeXml(p.label)}</text>`,
+        `<rect x="${labelWidth}" y="${y + 3}" width="${width.toFixed(1)}" height="${barHeight - 6}" fill="#3b82f6"/>`,
+        `<text x="${labelWidth + width + 6}" y="${y + 15}">${escapeXml(formatNumber(p.value))}</text>`,
+      ].join("");
+    })
+    .join("");
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${labelWidth + chartWidth + 80}" height="${height}" font-family="sans-serif" font-size="12">${bars}</svg>`;
+}
+
+export function buildHtmlReport(testName, data) {
+  const thresholds = collectThresholds(data.metrics);
+  const checks = collectChecks(data.root_group);
+  const series = collectSubmetricSeries(data.metrics);
+  const seed = randomSeedOf(data);
+
+  const thresholdRows = thresholds
+    .map(
+      (t) =>
+        `<tr class="${t.ok ? "pass" : "fail"}"><td>${escapeXml(t.metric)}</td><td><code>${escapeXml(t.expression)}</code></td><td>${t.ok ? "passed" : "failed"}</td></tr>`,
+    )
+    .join("");
+
+  const checkRows = checks
+    .map(
+      (c) =>
+        `<tr class="${c.fails > 0 ? "fail" : "pass"}"><td>${escapeXml(c.name)}</td><td>${c.passes}</td><td>${c.fails}</td></tr>`,
+    )
+    .join("");
+
+  const chartTitles = { endpoint: "Per endpoint", cache_name: "Per cache" };
+  const charts = Object.keys(series)
+    .map((key) => {
+      const s = series[key];
+      const title = chartTitles[s.tag] || `Per ${s.tag}`;
+      return `<section><h3>${escapeXml(title)}: ${escapeXml(s.metric)} ${escapeXml(s.stat)}</h3>${svgBarChart(s.points)}</section>`;
+    })
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>k6 ${escapeXml(testName)} report</title>
+<style>
+body { font-family: sans-serif; margin: 2rem; color: #1f2937; }
+table { border-collapse: collapse; margin-bottom: 2rem; }
+th, td { border: 1px solid #d1d5db; padding: 4px 10px; text-align: left; }
+tr.pass td:last-child { color: #15803d; }
+tr.fail td { background: #fee2e2; }
+</style>
+</head>
+<body>
+<h1>k6 ${escapeXml(testName)} report</h1>
+<p>Generated ${escapeXml(new Date().toISOString())}, test ran for ${formatNumber((data.state.testRunDurationMs || 0) / 1000)}s${seed !== undefined ? `, random seed ${escapeXml(String(seed))}` : ""}</p>
+<h2>Thresholds</h2>
+<table><tr><th>Metric</th><th>Threshold</th><th>Result</th></tr>${thresholdRows}</table>
+<h2>Charts</h2>
+${charts || "<p>No tagged submetrics; add thresholds such as <code>http_req_duration{endpoint:users.get}</code> to chart them.</p>"}
+<h2>Checks</h2>
+<table><tr><th>Check</th><th>Passes</th><th>Fails</th></tr>${checkRows}</table>
+</body>
+</html>
+`;
+}
+
+// Returns a handleSummary function writing every configured report format.
+// `analyze(data)` may return { title, lines, report } for a test-specific section:
+// the lines follow the console and Markdown summaries and `report` is stored as
+// `analysis` in the JSON report.
+export function createSummaryHandler(testName, { analyze } = {}) {
+  return function (data) {
+    const paths = reportPaths(testName);
+    const analysis = analyze ? analyze(data) : undefined;
+    let stdout = textSummary(data, { indent: " ", enableColors: true });
+    const seed = randomSeedOf(data);
+    if (seed !== undefined) {
+      stdout += `\n\n     Random seed: ${seed} (replay with -e RANDOM_SEED=${seed})`;
+    }
+    if (analysis) {
+      stdout += `\n\n     ${analysis.title}\n\n${analysis.lines
+        .map((line) => `     ${line}`)
+        .join("\n")}\n`;
+    }
+    const output = { stdout };
+
+    if (paths.json) {
+      output[paths.json] = JSON.stringify(
+        buildJsonReport(testName, data, analysis),
+        null,
+        2,
+      );
+    }
+    if (paths.junit) {
+      output[paths.junit] = buildJUnitReport(testName, data);
+    }
+    if (paths.markdown) {
+      output[paths.markdown] = buildMarkdownReport(testName, data, analysis);
+    }
+    if (paths.html) {
+      output[paths.html] = buildHtmlReport(testName, data);
+    }
+
+    return output;
+  };
+}
@@ -0,0 +1,168 @@
+// Server-Side Cache Metrics for k6 Tests
+// Scrapes cache_requests_total from /metrics at setup, periodically during the run
+// and at teardown, and exposes the hit ratio MeteredMemoryCache actually reported
+// as k6 metrics that thresholds can gate on per named cache
+
+import { Counter, Gauge } from "k6/metrics";
+import {
+  config,
+  scrapeMetrics,
+  getCacheMetrics,
+  getReportedCacheNames,
+  startIteration,
+} from "./k6-config.js";
+
+// Cumulative values since the setup() baseline, tagged with cache_name
+export const serverCacheHitRatio = new Gauge("server_cache_hit_ratio");
+export const serverCacheHits = new Gauge("server_cache_hits");
+export const serverCacheMisses = new Gauge("server_cache_misses");
+
+// Hits and misses of the gated caches per sampling window, tagged by the caller
+// (e.g. with the load phase the window ended in) for per-phase hit ratios
+export const serverCacheWindowHits = new Counter("server_cache_window_hits");
+export const serverCacheWindowMisses = new Counter(
+  "server_cache_window_misses",
+);
+
+// Captures the hit/miss counters of every cache currently publishing series.
+// Returns null when /metrics cannot be scraped.
+export function snapshotCacheRequests() {
+  const { response, metrics } = scrapeMetrics({
+    name: "server_metrics_sampler",
+  });
+  if (response.status !== 200) {
+    return null;
+  }
+
+  const snapshot = {};
+  getReportedCacheNames(metrics).forEach((name) => {
+    const { hits, misses } = getCacheMetrics(metrics, name);
+    snapshot[name] = { hits, misses };
+  });
+  return snapshot;
+}
+
+// Computes per-cache hit/miss deltas between two snapshots.
+// Caches created after the baseline was taken start from zero.
+export function diffCacheRequests(baseline, current) {
+  const deltas = {};
+
+  Object.keys(current).forEach((name) => {
+    const before = (baseline && baseline[name]) || { hits: 0, misses: 0 };
+    const hits = Math.max(0, current[name].hits - before.hits);
+    const misses = Math.max(0, current[name].misses - before.misses);
+    const total = hits + misses;
+
+    deltas[name] = {
+      hits,
+      misses,
+      ratio: total > 0 ? hits / total : undefined,
+    };
+  });
+
+  return deltas;
+}
+
+// Scrapes /metrics and records the server-reported deltas since the baseline
+export function recordServerCacheMetrics(baseline) {
+  const current = snapshotCacheRequests();
+  if (!current) {
+    return null;
+  }
+
+  const deltas = diffCacheRequests(baseline, current);
+  Object.keys(deltas).forEach((name) => {
+    const tags = { cache_name: name };
+    serverCacheHits.add(deltas[name].hits, tags);
+    serverCacheMisses.add(deltas[name].misses, tags);
+    if (deltas[name].ratio !== undefined) {
+      serverCacheHitRatio.add(deltas[name].ratio, tags);
+    }
+  });
+
+  return deltas;
+}
+
+// Previous snapshot of the sampler VU, the start of the next window
+let windowStart = null;
+
+// Records the gated caches' hits and misses since the previous call with `tags`.
+// Call it from the single sampler VU; the first call only opens the window.
+export function recordServerCacheWindow(tags) {
+  const current = snapshotCacheRequests();
+  if (!current) {
+    return;
+  }
+
+  if (windowStart) {
+    const deltas = diffCacheRequests(windowStart, current);
+    config.serverMetrics.gatedCaches.forEach((name) => {
+      if (!deltas[name]) return;
+      serverCacheWindowHits.add(deltas[name].hits, tags);
+      serverCacheWindowMisses.add(deltas[name].misses, tags);
+    });
+  }
+  windowStart = current;
+}
+
+// Hit ratio of the windows recorded with `tag:value`, from handleSummary data;
+// needs the window counters tracked for that tag (see trackSubmetrics)
+export function windowHitRatio(metrics, tag, value) {
+  const hits = metrics[`server_cache_window_hits{${tag}:${value}}`];
+  const misses = metrics[`server_cache_window_misses{${tag}:${value}}`];
+  const hitCount = hits ? hits.values.count : 0;
+  const total = hitCount + (misses ? misses.values.count : 0);
+  return total > 0 ? hitCount / total : undefined;
+}
+
+// Scenario entry point: export it from the test script and run it through
+// serverMetricsScenario() so the ratio is refreshed throughout the test
+export function sampleServerMetrics(data) {
+  startIteration(data);
+  recordServerCacheMetrics(data.serverMetricsBaseline);
+}
+
+// Background scenario that scrapes /metrics once per sample interval
+export function serverMetricsScenario(duration) {
+  return {
+    executor: "constant-arrival-rate",
+    rate: 1,
+    timeUnit: `${config.serverMetrics.sampleIntervalSeconds}s`,
+    duration,
+    preAllocatedVUs: 1,
+    maxVUs: 1,
+    exec: "sampleServerMetrics",
+    tags: { test_type: "server_metrics" },
+  };
+}
+
+// Builds server_cache_hit_ratio thresholds for the caches the example app drives
+export function serverHitRatioThresholds(
+  minRatio,
+  cacheNames = config.serverMetrics.gatedCaches,
+) {
+  const result = {};
+  cacheNames.forEach((name) => {
+    result[`server_cache_hit_ratio{cache_name:${name}}`] = [
+      `value>${minRatio}`,
+    ];
+  });
+  return result;
+}
+
+export function logServerCacheMetrics(deltas) {
+  if (!deltas) {
+    console.log("❌ Server cache metrics could not be scraped");
+    return;
+  }
+
+  console.log("📊 Server-reported cache requests since setup:");
+  Object.keys(deltas).forEach((name) => {
+    const { hits, misses, ratio } = deltas[name];
+    const hitRatio =
+      ratio !== undefined ? `${(ratio * 100).toFixed(2)}%` : "n/a";
+    console.log(
+      `   ${name}: ${hits} hits, ${misses} misses, hit ratio ${hitRatio}`,
+    );
+  });
+}
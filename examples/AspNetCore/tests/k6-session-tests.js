@@ -0,0 +1,111 @@
+// k6 Session Journey Tests for ASP.NET Core MeteredMemoryCache Example
+// These tests give every VU a persistent user and replay browsing sessions through
+// the state machine in k6-sessions.js (profile fetch, category browse, search
+// paging, product detail, occasional profile update), so the user-profiles and
+// product-catalog caches see the temporal locality of real sessions
+// Run with: k6 run k6-session-tests.js
+
+import {
+  config,
+  getHealth,
+  getMetrics,
+  logCacheMetrics,
+  describeKeyDistribution,
+  endpointThresholds,
+  calibrateCacheClassifier,
+  createRunSeed,
+  startIteration,
+} from "./k6-config.js";
+import {
+  serverMetricsScenario,
+  serverHitRatioThresholds,
+  snapshotCacheRequests,
+  recordServerCacheMetrics,
+  logServerCacheMetrics,
+} from "./k6-server-metrics.js";
+import { createSummaryHandler, summaryTrendStats } from "./k6-reporting.js";
+import { runJourney } from "./k6-sessions.js";
+
+export { sampleServerMetrics } from "./k6-server-metrics.js";
+
+const sessionVus = parseInt(__ENV.SESSION_VUS || "10", 10);
+const sessionDuration = __ENV.SESSION_DURATION || "5m";
+
+export let options = {
+  scenarios: {
+    sessions: {
+      executor: "constant-vus",
+      vus: sessionVus,
+      duration: sessionDuration,
+      tags: { test_type: "sessions" },
+    },
+    serverMetrics: serverMetricsScenario(sessionDuration),
+  },
+  summaryTrendStats,
+  thresholds: {
+    journey_success_rate: ["rate>0.95"], // Every step of a journey answered as expected
+    journey_response_time: ["p(95)<5000"], // Time spent waiting for responses per journey
+    http_req_failed: ["rate<0.05"],
+    cache_hit_rate: ["rate>0.5"], // Sessions revisit their own user and listings
+    contract_violation_rate: ["rate==0"],
+    ...serverHitRatioThresholds(0.5),
+    ...endpointThresholds(),
+  },
+};
+
+export function setup() {
+  console.log(
+    "🚀 Starting k6 Session Journey Tests for ASP.NET Core MeteredMemoryCache",
+  );
+  console.log(`📍 Base URL: ${config.baseUrl}`);
+  console.log(`🎯 Key distribution: ${describeKeyDistribution()}`);
+  const { thinkTime } = config.sessions;
+  console.log(
+    `🧭 ${sessionVus} users browsing for ${sessionDuration}, up to ${config.sessions.maxSteps} steps per journey, ${thinkTime.distribution} think time (mean ${thinkTime.mean}s)`,
+  );
+
+  // Verify application is running
+  const healthResponse = getHealth();
+  if (healthResponse.status !== 200) {
+    throw new Error(
+      `Application health check failed: ${healthResponse.status}`,
+    );
+  }
+
+  const latencyModel = calibrateCacheClassifier();
+
+  console.log("✅ Application is healthy and ready for session testing");
+  return {
+    randomSeed: createRunSeed(),
+    latencyModel,
+    startTime: new Date().toISOString(),
+    serverMetricsBaseline: snapshotCacheRequests(),
+  };
+}
+
+export default function (data) {
+  startIteration(data);
+
+  const { path, ok } = runJourney();
+  if (__ITER === 0) {
+    console.log(
+      `${ok ? "🧭" : "❌"} VU ${__VU} first journey: ${path.join(" → ")}`,
+    );
+  }
+}
+
+export function teardown(data) {
+  console.log("🏁 Session journey tests completed");
+  console.log(`⏱️ Test duration: ${new Date().toISOString()}`);
+
+  // Server-side hit ratio reported by MeteredMemoryCache since setup
+  logServerCacheMetrics(recordServerCacheMetrics(data.serverMetricsBaseline));
+
+  const finalMetrics = getMetrics();
+  if (finalMetrics.response.status === 200) {
+    console.log("📈 Final metrics retrieved successfully");
+    logCacheMetrics(finalMetrics.metrics);
+  }
+}
+
+export const handleSummary = createSummaryHandler("sessions");
@@ -0,0 +1,252 @@
+// User Session Journeys for k6 Tests
+// Each VU plays the same user for the whole test: a persistent identity (its user
+// id, favourite categories and search terms, recently viewed products) and a
+// browsing state machine. One journey per iteration starts with a login-like
+// profile fetch and moves between states along weighted transitions until it
+// reaches `end` or config.sessions.maxSteps, sleeping a think time drawn from
+// config.sessions.thinkTime between steps.
+//
+// Product views pick from the listing the previous category or search page
+// returned, or revisit a recently viewed product, so journeys revisit keys the way
+// real sessions do instead of drawing every key independently.
+//
+// State shape:
+//   { label, status, when, run: (session) => response, after, think, next }
+//   - status: expected HTTP status (default 200)
+//   - when:   (session) => boolean, whether the state can be entered
+//   - after:  (session, response) => void, updates the session from the response
+//   - think:  multiplier for the think time after the step (default 1)
+//   - next:   { [state]: weight } of the states that may follow, or `end`
+
+import { check, sleep } from "k6";
+import { Rate, Trend } from "k6/metrics";
+import {
+  config,
+  random,
+  getUser,
+  getProductsByCategory,
+  searchProducts,
+  getProduct,
+  updateUser,
+  getRandomCategoryId,
+  getRandomSearchQuery,
+} from "./k6-config.js";
+
+// Wall-clock journey time including think time, and the time spent waiting for
+// responses only
+export const journeyDuration = new Trend("journey_duration");
+export const journeyResponseTime = new Trend("journey_response_time");
+// Share of journeys in which every step answered its expected status
+export const journeySuccessRate = new Rate("journey_success_rate");
+export const journeySteps = new Trend("journey_steps");
+
+// Products remembered per VU for later journeys
+const recentlyViewedLimit = 5;
+
+function pickFrom(items) {
+  return items[Math.floor(random() * items.length)];
+}
+
+function productIds(response) {
+  if (response.status !== 200) {
+    return [];
+  }
+  try {
+    return response.json().map((product) => product.id);
+  } catch (e) {
+    return [];
+  }
+}
+
+export const journeyStates = {
+  login: {
+    label: "profile fetch",
+    think: 0.5,
+    run: (session) => getUser(session.identity.userId),
+    next: { browse: 50, search: 40, update: 10 },
+  },
+  browse: {
+    label: "category browse",
+    run: (session) => {
+      session.categoryId = pickFrom(session.identity.categoryIds);
+      return getProductsByCategory(session.categoryId);
+    },
+    after: (session, response) => {
+      session.listing = productIds(response);
+    },
+    next: { product: 60, browse: 15, search: 15, end: 10 },
+  },
+  search: {
+    label: "search",
+    run: (session) => {
+      session.search = { query: pickFrom(session.identity.queries), page: 1 };
+      return searchProducts(
+        session.search.query,
+        1,
+        config.sessions.searchPageSize,
+      );
+    },
+    after: (session, response) => {
+      session.listing = productIds(response);
+    },
+    next: { nextPage: 30, product: 50, browse: 10, end: 10 },
+  },
+  nextPage: {
+    label: "search next page",
+    think: 0.5,
+    when: (session) =>
+      session.search !== undefined &&
+      session.search.page < config.sessions.maxSearchPages,
+    run: (session) => {
+      session.search.page += 1;
+      return searchProducts(
+        session.search.query,
+        session.search.page,
+        config.sessions.searchPageSize,
+      );
+    },
+    after: (session, response) => {
+      session.listing = productIds(response);
+    },
+    next: { nextPage: 30, product: 50, browse: 10, end: 10 },
+  },
+  product: {
+    label: "product detail",
+    think: 1.5,
+    when: (session) =>
+      session.listing.length > 0 || session.identity.recentlyViewed.length > 0,
+    run: (session) => {
+      const { recentlyViewed } = session.identity;
+      const revisit =
+        recentlyViewed.length > 0 &&
+        (session.listing.length === 0 ||
+          random() < config.sessions.revisitProbability);
+      const productId = revisit
+        ? pickFrom(recentlyViewed)
+        : pickFrom(session.listing);
+      if (!recentlyViewed.includes(productId)) {
+        recentlyViewed.push(productId);
+        if (recentlyViewed.length > recentlyViewedLimit) {
+          recentlyViewed.shift();
+        }
+      }
+      return getProduct(productId);
+    },
+    next: { product: 30, browse: 20, search: 20, update: 5, end: 25 },
+  },
+  update: {
+    label: "profile update",
+    status: 204,
+    run: (session) => {
+      const { userId } = session.identity;
+      return updateUser(userId, {
+        name: `Session User ${userId} ${Date.now()}`,
+        email: `session${userId}.${Date.now()}@example.com`,
+      });
+    },
+    next: { browse: 40, search: 20, end: 40 },
+  },
+};
+
+// Think time in seconds from config.sessions.thinkTime:
+//   { distribution: constant | uniform | exponential | lognormal, mean, sigma, min, max }
+// Every distribution is clamped to [min, max]; uniform spans that range.
+export function thinkTime(settings, factor = 1) {
+  const { distribution, mean, sigma, min, max } = settings;
+  let seconds;
+  switch (distribution) {
+    case "constant":
+      seconds = mean;
+      break;
+    case "uniform":
+      seconds = min + random() * (max - min);
+      break;
+    case "exponential":
+      seconds = -mean * Math.log(1 - random());
+      break;
+    case "lognormal": {
+      // Box-Muller; mu chosen so the distribution's mean is `mean`
+      const normal =
+        Math.sqrt(-2 * Math.log(1 - random())) *
+        Math.cos(2 * Math.PI * random());
+      seconds = Math.exp(Math.log(mean) - (sigma * sigma) / 2 + sigma * normal);
+      break;
+    }
+    default:
+      throw new Error(`Unknown think time distribution '${distribution}'`);
+  }
+  return Math.min(max, Math.max(min, seconds)) * factor;
+}
+
+// Picks the next state proportionally to its weight among the reachable ones
+function chooseNext(state, session) {
+  const candidates = Object.keys(state.next).filter((name) => {
+    const target = journeyStates[name];
+    return name === "end" || !target.when || target.when(session);
+  });
+  const total = candidates.reduce((sum, name) => sum + state.next[name], 0);
+  let roll = random() * total;
+  for (const name of candidates) {
+    roll -= state.next[name];
+    if (roll < 0) {
+      return name;
+    }
+  }
+  return "end";
+}
+
+// The VU's user, created on its first journey and kept for the rest of the test
+let identity;
+
+function sessionIdentity() {
+  if (!identity) {
+    const { userIds } = config.testData;
+    identity = {
+      userId: userIds[(__VU - 1) % userIds.length],
+      categoryIds: [getRandomCategoryId(), getRandomCategoryId()],
+      queries: [getRandomSearchQuery(), getRandomSearchQuery()],
+      recentlyViewed: [],
+    };
+  }
+  return identity;
+}
+
+// Runs one journey for the VU's user and records the journey metrics. Returns
+// { path, ok } where path lists the states visited.
+export function runJourney() {
+  const session = { identity: sessionIdentity(), listing: [] };
+  const started = Date.now();
+  const path = [];
+  let responseTime = 0;
+  let ok = true;
+  let current = "login";
+
+  while (current !== "end" && path.length < config.sessions.maxSteps) {
+    const state = journeyStates[current];
+    const response = state.run(session);
+    const expected = state.status || 200;
+    const stepOk = check(
+      response,
+      { [`session ${state.label}`]: (r) => r.status === expected },
+      { journey_state: current },
+    );
+    ok = ok && stepOk;
+    responseTime += response.timings.duration;
+    path.push(current);
+    if (state.after) {
+      state.after(session, response);
+    }
+
+    current = chooseNext(state, session);
+    if (current !== "end") {
+      sleep(thinkTime(config.sessions.thinkTime, state.think || 1));
+    }
+  }
+
+  journeyDuration.add(Date.now() - started);
+  journeyResponseTime.add(responseTime);
+  journeySuccessRate.add(ok);
+  journeySteps.add(path.length);
+
+  return { path, ok };
+}
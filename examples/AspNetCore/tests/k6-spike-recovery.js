@@ -0,0 +1,333 @@
+// Spike Recovery Measurement for k6 Tests
+// A single probe VU sends a small batch of user lookups and scrapes the server-side
+// hit/miss counters every second for the whole spike test. It takes a latency and
+// hit-ratio baseline from the end of the phase before the spike and, once the spike
+// phase ends, times how long each signal takes to return within tolerance of that
+// baseline and stay there for `stableSeconds`:
+//   spike_recovery_seconds{signal:latency}    rolling p(95) of the probe requests
+//   spike_recovery_seconds{signal:hit_ratio}  rolling server-side hit ratio
+// A signal still pending when the probe ends reports the whole time after the spike
+// as unrecovered. The per-second timeline is published as spike_timeline_* gauges
+// tagged `second`.
+
+import { sleep } from "k6";
+import http from "k6/http";
+import { Gauge, Trend } from "k6/metrics";
+import {
+  config,
+  httpOptions,
+  endpointTags,
+  getRandomUserId,
+} from "./k6-config.js";
+import {
+  snapshotCacheRequests,
+  diffCacheRequests,
+} from "./k6-server-metrics.js";
+import { phaseAt, phasesDuration, elapsedInScenario } from "./k6-phases.js";
+import { trackSubmetrics } from "./k6-reporting.js";
+
+export const spikeRecoverySeconds = new Trend("spike_recovery_seconds");
+export const spikeTimelineP95 = new Gauge("spike_timeline_p95");
+export const spikeTimelineHitRatio = new Gauge("spike_timeline_hit_ratio");
+
+const signals = ["latency", "hit_ratio"];
+
+// Start and end of the spike phase, in seconds from the start of the first phase
+export function spikeWindow(phases, spikePhase = "spike") {
+  let offset = 0;
+  for (const phase of phases) {
+    if (phase.name === spikePhase) {
+      return { start: offset, end: offset + phase.seconds };
+    }
+    offset += phase.seconds;
+  }
+  throw new Error(`No '${spikePhase}' phase to measure recovery from`);
+}
+
+export function percentile(values, p) {
+  if (values.length === 0) {
+    return undefined;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(
+    sorted.length - 1,
+    Math.ceil((p / 100) * sorted.length) - 1,
+  );
+  return sorted[Math.max(0, index)];
+}
+
+// p(95) and hit ratio over the samples in [from, to)
+function aggregate(samples, from, to) {
+  const inRange = samples.filter((s) => s.second >= from && s.second < to);
+  const durations = [];
+  let hits = 0;
+  let lookups = 0;
+  inRange.forEach((s) => {
+    durations.push(...s.durations);
+    hits += s.hits;
+    lookups += s.hits + s.misses;
+  });
+  return {
+    p95: percentile(durations, 95),
+    hitRatio: lookups > 0 ? hits / lookups : undefined,
+  };
+}
+
+// Tracks one spike from per-second samples { second, durations, hits, misses }.
+// record() returns the rolling values for the sample, any recovery results
+// ({ signal, seconds, recovered }) it settled and whether it took the baseline;
+// finish() settles every signal still pending as unrecovered.
+export function createRecoveryTracker(phases, settings) {
+  const spike = spikeWindow(phases);
+  const lastSecond = phasesDuration(phases) - 1;
+  const samples = [];
+  const pending = {};
+  signals.forEach((signal) => {
+    pending[signal] = { stableSince: undefined };
+  });
+  let baseline;
+
+  const withinTolerance = {
+    latency: (current) =>
+      current.p95 !== undefined &&
+      current.p95 <= baseline.p95 * (1 + settings.latencyTolerance),
+    hit_ratio: (current) =>
+      current.hitRatio !== undefined &&
+      current.hitRatio >= baseline.hitRatio - settings.hitRatioTolerance,
+  };
+
+  function settle(signal, seconds, recovered) {
+    delete pending[signal];
+    return { signal, seconds: Math.max(0, seconds), recovered };
+  }
+
+  // Without a baseline value there is nothing to recover to
+  function hasReference(signal) {
+    const reference = signal === "latency" ? baseline.p95 : baseline.hitRatio;
+    return reference !== undefined;
+  }
+
+  return {
+    spike,
+    baseline: () => baseline,
+    record(sample) {
+      samples.push(sample);
+      const current = aggregate(
+        samples,
+        sample.second - settings.windowSeconds + 1,
+        sample.second + 1,
+      );
+      const results = [];
+      let baselineTaken = false;
+
+      if (!baseline && sample.second >= spike.start) {
+        baseline = aggregate(
+          samples,
+          spike.start - settings.baselineSeconds,
+          spike.start,
+        );
+        baselineTaken = true;
+      }
+      if (!baseline || sample.second < spike.end) {
+        return { current, results, baselineTaken };
+      }
+
+      Object.keys(pending).forEach((signal) => {
+        const state = pending[signal];
+        if (!hasReference(signal)) {
+          delete pending[signal];
+          return;
+        }
+
+        if (!withinTolerance[signal](current)) {
+          state.stableSince = undefined;
+          return;
+        }
+        if (state.stableSince === undefined) {
+          state.stableSince = sample.second;
+        }
+        if (sample.second - state.stableSince + 1 >= settings.stableSeconds) {
+          results.push(settle(signal, state.stableSince - spike.end, true));
+        }
+      });
+
+      return { current, results, baselineTaken };
+    },
+    finish() {
+      return Object.keys(pending)
+        .filter((signal) => !baseline || hasReference(signal))
+        .map((signal) => settle(signal, lastSecond - spike.end + 1, false));
+    },
+  };
+}
+
+function emitResults(results) {
+  results.forEach(({ signal, seconds, recovered }) => {
+    spikeRecoverySeconds.add(seconds, { signal });
+    console.log(
+      recovered
+        ? `✅ ${signal} recovered ${seconds}s after the spike`
+        : `❌ ${signal} had not recovered ${seconds}s after the spike`,
+    );
+  });
+}
+
+// Runs the probe once per second for the whole test; call it with the test's
+// phases from a `probeSpikeRecovery` export run through recoveryProbeScenario().
+// A slow tick delays the next one instead of dropping it, and signals still
+// pending when the phases end are emitted as unrecovered.
+export function runRecoveryProbe(phases) {
+  const tracker = createRecoveryTracker(phases, config.spikeRecovery);
+  const end = phasesDuration(phases);
+  let previousSnapshot;
+  let second = Math.floor(elapsedInScenario());
+
+  while (second < end) {
+    previousSnapshot = probeTick(tracker, second, previousSnapshot);
+    const elapsed = elapsedInScenario();
+    const next = Math.max(second + 1, Math.ceil(elapsed));
+    if (next >= end) {
+      break;
+    }
+    sleep(next - elapsed);
+    second = next;
+  }
+
+  emitResults(tracker.finish());
+}
+
+// One probe sample at `second`; returns the counter snapshot for the next tick
+function probeTick(tracker, second, previousSnapshot) {
+  const tags = endpointTags("spike.probe");
+
+  const responses = http.batch(
+    Array.from({ length: config.spikeRecovery.probeRequests }, () => [
+      "GET",
+      `${config.baseUrl}/api/users/${getRandomUserId()}`,
+      null,
+      { ...httpOptions, tags },
+    ]),
+  );
+  const durations = responses
+    .filter((r) => r.status === 200)
+    .map((r) => r.timings.duration);
+
+  let hits = 0;
+  let misses = 0;
+  const snapshot = snapshotCacheRequests();
+  if (snapshot && previousSnapshot) {
+    const deltas = diffCacheRequests(previousSnapshot, snapshot);
+    config.serverMetrics.gatedCaches.forEach((name) => {
+      if (!deltas[name]) return;
+      hits += deltas[name].hits;
+      misses += deltas[name].misses;
+    });
+  }
+
+  const { current, results, baselineTaken } = tracker.record({
+    second,
+    durations,
+    hits,
+    misses,
+  });
+
+  const timelineTags = { second: String(second) };
+  if (current.p95 !== undefined) {
+    spikeTimelineP95.add(current.p95, timelineTags);
+  }
+  if (current.hitRatio !== undefined) {
+    spikeTimelineHitRatio.add(current.hitRatio, timelineTags);
+  }
+
+  if (baselineTaken) {
+    const baseline = tracker.baseline();
+    console.log(
+      `📏 Pre-spike baseline: p(95) ${formatMs(baseline.p95)}, hit ratio ${formatRatio(baseline.hitRatio)}`,
+    );
+  }
+  emitResults(results);
+
+  return snapshot || previousSnapshot;
+}
+
+// Background scenario: one probe VU looping over the phases, with a minute of
+// headroom for the final tick and the pending results
+export function recoveryProbeScenario(phases) {
+  return {
+    executor: "per-vu-iterations",
+    vus: 1,
+    iterations: 1,
+    maxDuration: `${phasesDuration(phases) + 60}s`,
+    exec: "probeSpikeRecovery",
+    tags: { test_type: "spike_recovery" },
+  };
+}
+
+// Gates the slowest signal's recovery and keeps the timeline in the summary
+export function recoveryThresholds(phases) {
+  const seconds = Array.from({ length: phasesDuration(phases) }, (_, i) => i);
+  return {
+    spike_recovery_seconds: [`max<${config.spikeRecovery.maxRecoverySeconds}`],
+    ...trackSubmetrics("spike_recovery_seconds", "trend", "signal", signals),
+    ...trackSubmetrics("spike_timeline_p95", "gauge", "second", seconds),
+    ...trackSubmetrics("spike_timeline_hit_ratio", "gauge", "second", seconds),
+  };
+}
+
+function formatMs(value) {
+  return value !== undefined ? `${value.toFixed(0)}ms` : "n/a";
+}
+
+function formatRatio(value) {
+  return value !== undefined ? `${(value * 100).toFixed(2)}%` : "n/a";
+}
+
+// Recovery per signal and the per-second timeline, from handleSummary data
+export function collectRecoveryReport(metrics, phases) {
+  const value = (name, stat) =>
+    metrics[name] ? metrics[name].values[stat] : undefined;
+  const recovery = {};
+  signals.forEach((signal) => {
+    recovery[signal] = value(`spike_recovery_seconds{signal:${signal}}`, "max");
+  });
+
+  const timeline = Array.from(
+    { length: phasesDuration(phases) },
+    (_, second) => ({
+      second,
+      phase: phaseAt(phases, second),
+      p95: value(`spike_timeline_p95{second:${second}}`, "value"),
+      hitRatio: value(`spike_timeline_hit_ratio{second:${second}}`, "value"),
+    }),
+  );
+
+  return { spike: spikeWindow(phases), recovery, timeline };
+}
+
+// Console/Markdown lines for collectRecoveryReport()
+export function formatRecoveryReport(report) {
+  const lines = [
+    `Spike from ${report.spike.start}s to ${report.spike.end}s; recovery within ${config.spikeRecovery.maxRecoverySeconds}s required`,
+  ];
+  signals.forEach((signal) => {
+    const seconds = report.recovery[signal];
+    lines.push(
+      seconds !== undefined
+        ? `   ${signal}: ${seconds}s`
+        : `   ${signal}: not measured`,
+    );
+  });
+  lines.push("");
+  lines.push("second  phase     p(95)    hit ratio");
+  report.timeline.forEach((row) => {
+    lines.push(
+      [
+        String(row.second).padEnd(6),
+        row.phase.padEnd(8),
+        formatMs(row.p95).padEnd(7),
+        formatRatio(row.hitRatio),
+      ].join("  "),
+    );
+  });
+  return lines;
+}
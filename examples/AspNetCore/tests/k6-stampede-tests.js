@@ -0,0 +1,229 @@
+// k6 Cache Stampede Tests for ASP.NET Core MeteredMemoryCache Example
+// These tests release many VUs at the same instant against one cold key to measure
+// how many misses and upstream calls a single expired entry turns into
+// Run with: k6 run k6-stampede-tests.js
+
+import { check, sleep } from "k6";
+import http from "k6/http";
+import { Gauge, Trend } from "k6/metrics";
+import {
+  config,
+  httpOptions,
+  getHealth,
+  scrapeMetrics,
+  getCacheMetrics,
+  endpointTags,
+} from "./k6-config.js";
+import { sumSamples } from "./k6-prometheus.js";
+import { createSummaryHandler, summaryTrendStats } from "./k6-reporting.js";
+
+// Duration of every request in a stampede, tagged with cache_name
+const stampedeRequestDuration = new Trend("stampede_request_duration", true);
+// Slowest minus fastest response within one VU's batch, tagged with cache_name
+const stampedeLatencySpread = new Trend("stampede_latency_spread", true);
+// Server-side misses per cold key, tagged with cache_name (1 means fully coalesced)
+const stampedeMissAmplification = new Gauge("stampede_miss_amplification");
+// Outbound HTTP calls per cold key, from the http-client instrumentation
+const stampedeUpstreamAmplification = new Gauge(
+  "stampede_upstream_amplification",
+);
+
+const stampede = {
+  vus: parseInt(__ENV.STAMPEDE_VUS || "10", 10),
+  batchSize: parseInt(__ENV.STAMPEDE_BATCH || "5", 10),
+  rounds: parseInt(__ENV.STAMPEDE_ROUNDS || "10", 10),
+  roundIntervalSeconds: parseFloat(__ENV.STAMPEDE_ROUND_INTERVAL || "5"),
+  maxAmplification: __ENV.STAMPEDE_MAX_AMPLIFICATION,
+};
+
+const upstreamCallSeries = "http_client_request_duration_seconds_count";
+
+const targets = [
+  {
+    cacheName: "user-profiles",
+    endpoint: "users.get",
+    path: (id) => `/api/users/${id}`,
+  },
+  {
+    cacheName: "product-catalog",
+    endpoint: "products.get",
+    path: (id) => `/api/products/${id}`,
+  },
+];
+
+const stampedeThresholds = {
+  http_req_failed: ["rate<0.01"],
+};
+if (stampede.maxAmplification) {
+  targets.forEach((target) => {
+    stampedeThresholds[
+      `stampede_miss_amplification{cache_name:${target.cacheName}}`
+    ] = [`value<=${stampede.maxAmplification}`];
+  });
+}
+
+export let options = {
+  scenarios: {
+    stampede: {
+      executor: "per-vu-iterations",
+      vus: stampede.vus,
+      iterations: stampede.rounds,
+      maxDuration: `${Math.ceil(stampede.rounds * stampede.roundIntervalSeconds) + 60}s`,
+      tags: { test_type: "stampede" },
+    },
+  },
+  summaryTrendStats,
+  thresholds: stampedeThresholds,
+};
+
+function snapshot() {
+  const { response, metrics } = scrapeMetrics({ name: "stampede_snapshot" });
+  if (response.status !== 200) {
+    return null;
+  }
+
+  const result = {
+    upstreamCalls: sumSamples(metrics, upstreamCallSeries),
+    caches: {},
+  };
+  targets.forEach((target) => {
+    result.caches[target.cacheName] = getCacheMetrics(
+      metrics,
+      target.cacheName,
+    );
+  });
+  return result;
+}
+
+function sleepUntil(timestamp) {
+  const remaining = (timestamp - Date.now()) / 1000;
+  if (remaining > 0) {
+    sleep(remaining);
+  }
+}
+
+export function setup() {
+  console.log(
+    "🚀 Starting k6 Cache Stampede Tests for ASP.NET Core MeteredMemoryCache",
+  );
+  console.log(`📍 Base URL: ${config.baseUrl}`);
+  console.log(
+    `🐘 ${stampede.vus} VUs × ${stampede.batchSize} requests per cold key, ${stampede.rounds} rounds`,
+  );
+
+  const healthResponse = getHealth();
+  if (healthResponse.status !== 200) {
+    throw new Error(
+      `Application health check failed: ${healthResponse.status}`,
+    );
+  }
+
+  console.log("✅ Application is healthy and ready for stampede testing");
+  return {
+    startTime: new Date().toISOString(),
+    // Fresh key per round, so every release reads a key no request has cached
+    keyBase: 2000000 + (Math.floor(Date.now() / 1000) % 100000) * 1000,
+    // Leave time for every VU to initialise before the first release
+    firstRoundAt: Date.now() + 5000,
+    baseline: snapshot(),
+  };
+}
+
+export default function (data) {
+  const round = __ITER;
+  const releaseAt =
+    data.firstRoundAt + round * stampede.roundIntervalSeconds * 1000;
+  const key = data.keyBase + round;
+
+  sleepUntil(releaseAt);
+
+  targets.forEach((target) => {
+    const requests = [];
+    for (let i = 0; i < stampede.batchSize; i++) {
+      requests.push([
+        "GET",
+        `${config.baseUrl}${target.path(key)}`,
+        null,
+        {
+          ...httpOptions,
+          tags: {
+            ...endpointTags(target.endpoint),
+            name: `stampede ${target.cacheName}`,
+          },
+        },
+      ]);
+    }
+
+    const responses = http.batch(requests);
+    const durations = responses.map((r) => r.timings.duration);
+    const tags = { cache_name: target.cacheName };
+
+    durations.forEach((d) => stampedeRequestDuration.add(d, tags));
+    stampedeLatencySpread.add(
+      Math.max(...durations) - Math.min(...durations),
+      tags,
+    );
+
+    check(responses, {
+      [`stampede ${target.cacheName} requests successful`]: (rs) =>
+        rs.every((r) => r.status === 200),
+    });
+  });
+}
+
+export function teardown(data) {
+  console.log("🏁 Cache stampede tests completed");
+
+  // Give the Prometheus scrape cache time to refresh
+  sleep(2);
+  const final = snapshot();
+  if (!final || !data.baseline) {
+    console.log("❌ Unable to scrape /metrics for the stampede summary");
+    return;
+  }
+
+  const concurrentRequests = stampede.vus * stampede.batchSize;
+  console.log(
+    `📈 Stampede summary (${concurrentRequests} concurrent requests per cold key):`,
+  );
+
+  targets.forEach((target) => {
+    const before = data.baseline.caches[target.cacheName];
+    const after = final.caches[target.cacheName];
+    const misses = after.misses - before.misses;
+    const amplification = misses / stampede.rounds;
+
+    stampedeMissAmplification.add(amplification, {
+      cache_name: target.cacheName,
+    });
+    console.log(
+      `   ${target.cacheName}: ${misses} misses over ${stampede.rounds} cold keys (${amplification.toFixed(2)} per key)`,
+    );
+  });
+
+  const upstreamCalls = final.upstreamCalls - data.baseline.upstreamCalls;
+  const upstreamAmplification =
+    upstreamCalls / (stampede.rounds * targets.length);
+  stampedeUpstreamAmplification.add(upstreamAmplification);
+  console.log(
+    `   upstream: ${upstreamCalls} outbound HTTP calls (${upstreamAmplification.toFixed(2)} per cold key)`,
+  );
+  if (upstreamCalls === 0) {
+    console.log(
+      "   ℹ️ ExternalApiService simulates its upstream with Task.Delay, so misses are the upstream call count",
+    );
+  }
+
+  console.log("🔍 Stampede test analysis recommendations:");
+  console.log(
+    "   - More than one miss per cold key means concurrent callers all went upstream",
+  );
+  console.log(
+    "   - Compare stampede_latency_spread with the upstream latency (100-300ms)",
+  );
+  console.log(
+    "   - Consider request coalescing (e.g. GetOrCreateAsync with a lock) if amplification is high",
+  );
+}
+
+export const handleSummary = createSummaryHandler("stampede");
@@ -0,0 +1,73 @@
+// Trend Analysis for k6 Tests
+// Least-squares fits over time series collected during a run, used by the soak
+// leak detector to tell sustained growth apart from warm-up and GC noise
+
+// Fits y = slope * x + intercept over [{ x, y }] points.
+// r2 is 0 for a flat series and undefined with fewer than two distinct x values.
+export function linearRegression(points) {
+  const n = points.length;
+  if (n < 2) {
+    return { slope: 0, intercept: n === 1 ? points[0].y : 0, r2: undefined };
+  }
+
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  points.forEach((p) => {
+    const dx = p.x - meanX;
+    const dy = p.y - meanY;
+    sxx += dx * dx;
+    sxy += dx * dy;
+    syy += dy * dy;
+  });
+
+  if (sxx === 0) {
+    return { slope: 0, intercept: meanY, r2: undefined };
+  }
+
+  const slope = sxy / sxx;
+  return {
+    slope,
+    intercept: meanY - slope * meanX,
+    r2: syy === 0 ? 0 : (sxy * sxy) / (sxx * syy),
+  };
+}
+
+// Minimum points before a trend is judged; each half needs its own fit
+export const minTrendPoints = 6;
+
+// Judges a series of { x: seconds, y: value } points.
+// A series leaks when growth is sustained (positive overall slope that fits the
+// data with r2 >= minR2 and is still rising in the second half) and the fitted
+// growth exceeds maxGrowthPerHour relative to the series mean.
+export function analyzeTrend(points, { maxGrowthPerHour, minR2 }) {
+  const fit = linearRegression(points);
+  const mean =
+    points.length > 0
+      ? points.reduce((sum, p) => sum + p.y, 0) / points.length
+      : 0;
+  const growthPerHour = mean > 0 ? (fit.slope * 3600) / mean : 0;
+
+  if (points.length < minTrendPoints) {
+    return { ...fit, growthPerHour, sustained: false, leaking: false };
+  }
+
+  const secondHalf = linearRegression(
+    points.slice(Math.floor(points.length / 2)),
+  );
+  const sustained =
+    fit.slope > 0 &&
+    fit.r2 !== undefined &&
+    fit.r2 >= minR2 &&
+    secondHalf.slope > 0;
+
+  return {
+    ...fit,
+    growthPerHour,
+    sustained,
+    leaking: sustained && growthPerHour > maxGrowthPerHour,
+  };
+}
@@ -0,0 +1,263 @@
+// k6 Workload Engine for ASP.NET Core MeteredMemoryCache Example
+// Runs declarative operation mixes so each load test is a small profile of weights,
+// follow-ups and latency budgets instead of a hand-written if/else cascade
+//
+// Profile shape:
+//   {
+//     prefix:     check name prefix, e.g. "stress" -> "stress user lookup"
+//     intensity:  chance an iteration runs one weighted operation (default 1)
+//     thinkTime:  [min, max] seconds slept after the mix and extras
+//     mix:        steps with a `weight`; one is chosen per iteration
+//     extras:     steps with a `probability`, rolled independently after the mix
+//     afterThink: steps with a `probability`, rolled after think time
+//   }
+// Step shape:
+//   { op, label, weight | probability, budget, params, count, delay, when, followUps }
+//   - op:        key of `operations`, or "any" with `of: [ops]` for a random pick
+//   - budget:    latency budget in ms, checked as "<prefix> <label> response time"
+//   - count:     repetitions (number or [min, max]), each with fresh keys
+//   - delay:     seconds slept before the step runs
+//   - when:      predicate on the iteration state, e.g. (s) => s.phase === "spike"
+//   - followUps: steps run in order after the parent, reusing its keys so a repeat
+//                lands on the same cache entry
+// intensity, thinkTime, probability, delay and count may also be functions of the
+// state passed to the workload, which lets phased tests vary behaviour over time.
+
+import { check, sleep } from "k6";
+import { Rate } from "k6/metrics";
+import {
+  getUser,
+  getProduct,
+  getProductsByCategory,
+  searchProducts,
+  getUsers,
+  updateUser,
+  getCacheStats,
+  clearCache,
+  getHealth,
+  getMetrics,
+  testCacheHit,
+  testCacheInvalidation,
+  getRandomUserId,
+  getRandomProductId,
+  getRandomCategoryId,
+  getRandomSearchQuery,
+  getRandomCacheName,
+  random,
+} from "./k6-config.js";
+
+// Share of operations that finished within their latency budget, tagged with operation
+export const operationBudgetMet = new Rate("operation_budget_met");
+
+// Draws a key once per chain so follow-ups reuse it
+function chainKey(ctx, name, pick) {
+  if (ctx[name] === undefined) {
+    ctx[name] = pick();
+  }
+  return ctx[name];
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Built-in operations. `run` returns the result, `ok` decides the status check
+// (default: HTTP `status`, 200 unless stated) and `duration` feeds the budget.
+export const operations = {
+  getUser: {
+    run: (ctx) => getUser(chainKey(ctx, "userId", getRandomUserId)),
+  },
+  getProduct: {
+    run: (ctx) => getProduct(chainKey(ctx, "productId", getRandomProductId)),
+  },
+  getCategory: {
+    run: (ctx) =>
+      getProductsByCategory(chainKey(ctx, "categoryId", getRandomCategoryId)),
+  },
+  search: {
+    run: (ctx, params) =>
+      searchProducts(
+        chainKey(ctx, "query", getRandomSearchQuery),
+        1,
+        params.pageSize || 10,
+      ),
+  },
+  batch: {
+    run: (ctx, params) => {
+      const ids = [];
+      for (let i = 0; i < (params.size || 3); i++) {
+        ids.push(getRandomUserId());
+      }
+      return getUsers(ids);
+    },
+  },
+  update: {
+    status: 204,
+    run: (ctx) => {
+      const userId = chainKey(ctx, "userId", getRandomUserId);
+      return updateUser(userId, {
+        name: `${capitalize(ctx.prefix)} Test User ${userId} ${Date.now()}`,
+        email: `${ctx.prefix}${userId}${Date.now()}@example.com`,
+      });
+    },
+  },
+  cacheStats: {
+    run: () => getCacheStats(),
+  },
+  cacheClear: {
+    status: 204,
+    run: () => clearCache(getRandomCacheName()),
+  },
+  health: {
+    run: () => getHealth(),
+  },
+  metrics: {
+    run: () => getMetrics().response,
+  },
+  cacheHit: {
+    run: (ctx) => testCacheHit(chainKey(ctx, "userId", getRandomUserId)),
+    ok: (r) => r.miss.status === 200 && r.hit.status === 200,
+    duration: () => undefined,
+  },
+  invalidation: {
+    run: (ctx) =>
+      testCacheInvalidation(chainKey(ctx, "userId", getRandomUserId)),
+    ok: (r) =>
+      r.before.status === 200 &&
+      r.update.status === 204 &&
+      r.after.status === 200,
+    duration: () => undefined,
+  },
+};
+
+function resolve(value, state) {
+  return typeof value === "function" ? value(state) : value;
+}
+
+function repetitions(count, state) {
+  const value = resolve(count, state);
+  if (Array.isArray(value)) {
+    return value[0] + Math.floor(random() * (value[1] - value[0] + 1));
+  }
+  return value !== undefined ? value : 1;
+}
+
+function applies(step, state) {
+  return !step.when || step.when(state);
+}
+
+function rolls(step, state) {
+  return applies(step, state) && random() < resolve(step.probability, state);
+}
+
+function runOnce(profile, step, ctx, state) {
+  const name =
+    step.op === "any"
+      ? step.of[Math.floor(random() * step.of.length)]
+      : step.op;
+  const operation = operations[name];
+  if (!operation) {
+    throw new Error(`Unknown workload operation '${name}'`);
+  }
+
+  const delay = resolve(step.delay, state);
+  if (delay > 0) {
+    sleep(delay);
+  }
+
+  const result = operation.run(ctx, step.params || {});
+  const label = `${profile.prefix} ${step.label || step.op}`;
+  const expected = operation.status || 200;
+  const ok = operation.ok
+    ? operation.ok
+    : step.op === "any"
+      ? (r) => r.status === 200 || r.status === 204
+      : (r) => r.status === expected;
+
+  const checks = { [label]: ok };
+  const duration = operation.duration
+    ? operation.duration(result)
+    : result.timings.duration;
+  if (step.budget !== undefined && duration !== undefined) {
+    const withinBudget = duration < step.budget;
+    checks[`${label} response time`] = () => withinBudget;
+    operationBudgetMet.add(withinBudget, { operation: name });
+  }
+  Object.keys(operation.checks || {}).forEach((checkName) => {
+    checks[`${profile.prefix} ${checkName}`] = operation.checks[checkName];
+  });
+  check(result, checks, { operation: name });
+
+  (step.followUps || []).forEach((followUp) => {
+    if (!applies(followUp, state)) return;
+    if (followUp.probability !== undefined && !rolls(followUp, state)) return;
+    runStep(profile, followUp, ctx, state);
+  });
+
+  return result;
+}
+
+// Runs a step `count` times; only the first repetition reuses the parent's keys
+function runStep(profile, step, parentCtx, state) {
+  const times = repetitions(step.count, state);
+  for (let i = 0; i < times; i++) {
+    const ctx = i === 0 && parentCtx ? parentCtx : { prefix: profile.prefix };
+    runOnce(profile, step, ctx, state);
+  }
+}
+
+// Picks a mix entry proportionally to its weight among the applicable entries
+function chooseWeighted(mix, state) {
+  const candidates = mix.filter((step) => applies(step, state));
+  const total = candidates.reduce((sum, step) => sum + step.weight, 0);
+  let roll = random() * total;
+  for (const step of candidates) {
+    roll -= step.weight;
+    if (roll < 0) {
+      return step;
+    }
+  }
+  return candidates[candidates.length - 1];
+}
+
+function thinkSeconds(profile, state) {
+  const range = resolve(profile.thinkTime, state);
+  if (!range) {
+    return 0;
+  }
+  return range[0] + random() * (range[1] - range[0]);
+}
+
+// Returns an iteration function: call it from the default export with the
+// current state (e.g. { phase: "spike" }) for profiles that vary over time
+export function createWorkload(profile) {
+  const mix = profile.mix || [];
+  const extras = profile.extras || [];
+  const afterThink = profile.afterThink || [];
+
+  return function (state = {}) {
+    const intensity =
+      profile.intensity !== undefined ? resolve(profile.intensity, state) : 1;
+
+    if (mix.length > 0 && random() < intensity) {
+      const step = chooseWeighted(mix, state);
+      if (step) {
+        runStep(profile, step, null, state);
+      }
+    }
+
+    extras.forEach((step) => {
+      if (rolls(step, state)) {
+        runStep(profile, step, null, state);
+      }
+    });
+
+    sleep(thinkSeconds(profile, state));
+
+    afterThink.forEach((step) => {
+      if (rolls(step, state)) {
+        runStep(profile, step, null, state);
+      }
+    });
+  };
+}
@@ -7,6 +7,7 @@ param(
     [string]$BaseUrl = $env:BASE_URL ?? "https://localhost:64494",
     [string]$HttpHostUrl = $env:HTTP_HOST_URL ?? "http://localhost:64495",
     [string]$ResultsDir = "./k6-results",
+    [string]$BaselineDir = "",
     [switch]$CheckOnly = $false,
     [switch]$Help = $false
 )
@@ -48,10 +49,11 @@ function Show-Help {
     Write-Host "Usage: pwsh run-k6-tests.ps1 [OPTIONS] [TEST_NAME]" -ForegroundColor $Colors.White
     Write-Host ""
     Write-Host "Options:" -ForegroundColor $Colors.White
-    Write-Host "  -TestName <name>     Run specific test (smoke, load, stress, soak, spike, breakpoint)" -ForegroundColor $Colors.White
+    Write-Host "  -TestName <name>     Run specific test (smoke, load, stress, soak, spike, breakpoint, accuracy, eviction, stampede, negative, isolation, sessions, coldwarm)" -ForegroundColor $Colors.White
     Write-Host "  -BaseUrl <url>       Set base URL (default: https://localhost:64494)" -ForegroundColor $Colors.White
     Write-Host "  -HttpHostUrl <url>   Set HTTP host URL (default: http://localhost:64495)" -ForegroundColor $Colors.White
     Write-Host "  -ResultsDir <dir>    Set results directory (default: ./k6-results)" -ForegroundColor $Colors.White
+    Write-Host "  -BaselineDir <dir>   Gate each run against k6 baselines (e.g. ../../../benchmarks/baseline/k6)" -ForegroundColor $Colors.White
     Write-Host "  -CheckOnly           Only check prerequisites, don't run tests" -ForegroundColor $Colors.White
     Write-Host "  -Help                Show this help message" -ForegroundColor $Colors.White
     Write-Host ""
@@ -62,6 +64,13 @@ function Show-Help {
     Write-Host "  soak                Memory leaks and stability (30 minutes)" -ForegroundColor $Colors.White
     Write-Host "  spike               Traffic spike simulation (4 minutes)" -ForegroundColor $Colors.White
     Write-Host "  breakpoint          Capacity planning (10 minutes)" -ForegroundColor $Colors.White
+    Write-Host "  accuracy            Metric emission accuracy reconciliation (quiet app)" -ForegroundColor $Colors.White
+    Write-Host "  eviction            Eviction pressure over a large key space (5 minutes)" -ForegroundColor $Colors.White
+    Write-Host "  stampede            Thundering herd on a cold key (1 minute)" -ForegroundColor $Colors.White
+    Write-Host "  negative            Error and edge cases with expected status codes (1 minute)" -ForegroundColor $Colors.White
+    Write-Host "  isolation           Clearing one named cache leaves the others warm (quiet app)" -ForegroundColor $Colors.White
+    Write-Host "  sessions            Per-VU user journeys through the browsing state machine (5 minutes)" -ForegroundColor $Colors.White
+    Write-Host "  coldwarm            Cold vs warm latency per endpoint after clearing all caches (quiet app)" -ForegroundColor $Colors.White
     Write-Host ""
     Write-Host "Examples:" -ForegroundColor $Colors.White
     Write-Host "  pwsh run-k6-tests.ps1                    # Run all tests" -ForegroundColor $Colors.White
@@ -145,7 +154,7 @@ function Invoke-K6Test {
     $summaryFile = Join-Path $ResultsDir "${TestName}_${Timestamp}_summary.txt"
     
     try {
-        & k6 run --out json=$outputFile $TestFile
+        & k6 run --out json=$outputFile -e REPORT_DIR=$ResultsDir $TestFile
         if ($LASTEXITCODE -eq 0) {
             Write-Success "$TestName completed successfully"
             
@@ -156,6 +165,7 @@ Description: $Description
 Timestamp: $Timestamp
 Base URL: $BaseUrl
 Results: $outputFile
+Reports: $ResultsDir/$TestName-summary.{json,junit.xml,md,html}
 
 Key Metrics:
 ===========
@@ -163,6 +173,14 @@ Review the JSON output file for detailed metrics
 "@
             $summaryContent | Out-File -FilePath $summaryFile -Encoding UTF8
             
+            if ($BaselineDir) {
+                & node k6-baseline-gate.mjs compare $BaselineDir (Join-Path $ResultsDir "$TestName-summary.json")
+                if ($LASTEXITCODE -ne 0) {
+                    Write-Error "$TestName regressed against baseline"
+                    return $false
+                }
+            }
+            
             return $true
         }
         else {
@@ -211,7 +229,7 @@ function Invoke-AllTests {
     }
     
     # Test 5: Breakpoint Tests
-    if (-not (Invoke-K6Test "breakpoint" "k6-breakpoint-tests.js" "Capacity planning (10 minutes, 10-50 VUs)" $ResultsDir $Timestamp)) {
+    if (-not (Invoke-K6Test "breakpoint" "k6-breakpoint-tests.js" "Capacity planning (up to 10 minutes, 10-200 iterations/s)" $ResultsDir $Timestamp)) {
         $failedTests += "breakpoint"
     }
     
@@ -260,9 +278,30 @@ function Invoke-SpecificTest {
         "breakpoint" {
             Invoke-K6Test "breakpoint" "k6-breakpoint-tests.js" "Capacity planning" $ResultsDir $Timestamp
         }
+        "accuracy" {
+            Invoke-K6Test "accuracy" "k6-metric-accuracy-tests.js" "Metric emission accuracy reconciliation" $ResultsDir $Timestamp
+        }
+        "eviction" {
+            Invoke-K6Test "eviction" "k6-eviction-tests.js" "Eviction pressure on named caches" $ResultsDir $Timestamp
+        }
+        "stampede" {
+            Invoke-K6Test "stampede" "k6-stampede-tests.js" "Cache stampede after clearCache" $ResultsDir $Timestamp
+        }
+        "negative" {
+            Invoke-K6Test "negative-path" "k6-negative-path-tests.js" "Negative path status codes" $ResultsDir $Timestamp
+        }
+        "isolation" {
+            Invoke-K6Test "isolation" "k6-cache-isolation-tests.js" "Named-cache isolation on clear" $ResultsDir $Timestamp
+        }
+        "sessions" {
+            Invoke-K6Test "sessions" "k6-session-tests.js" "User session journeys" $ResultsDir $Timestamp
+        }
+        "coldwarm" {
+            Invoke-K6Test "cold-warm" "k6-cold-warm-tests.js" "Cold vs warm cache latency" $ResultsDir $Timestamp
+        }
         default {
             Write-Error "Unknown test: $TestName"
-            Write-Host "Available tests: smoke, load, stress, soak, spike, breakpoint" -ForegroundColor $Colors.White
+            Write-Host "Available tests: smoke, load, stress, soak, spike, breakpoint, accuracy, eviction, stampede, negative, isolation, sessions, coldwarm" -ForegroundColor $Colors.White
             exit 1
         }
     }